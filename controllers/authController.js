@@ -197,7 +197,7 @@ exports.teacherLogin = async (req, res) => {
 // };
 // In controllers/authController.js → replace registerStudent
 exports.registerStudent = async (req, res) => {
-	const { name, email, rollNo, registrationNo, phone, department, program, batch, semester, section, familyIncome, distanceFromCollege, scholarship } = req.body;
+	const { name, email, rollNo, registrationNo, phone, department, program, batch, semester, section, familyIncome, distanceFromCollege, scholarship, guardian } = req.body;
 
 	try {
 		const exists = await Student.findOne({
@@ -224,6 +224,7 @@ exports.registerStudent = async (req, res) => {
 			familyIncome,
 			distanceFromCollege,
 			scholarship: scholarship || false,
+			guardian,
 			registeredBy: req.user.id,
 		});
 
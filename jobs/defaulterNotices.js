@@ -0,0 +1,56 @@
+// jobs/defaulterNotices.js
+// Weekly attendance defaulter notices to students (and guardians, when on file).
+//
+//   node jobs/defaulterNotices.js                       → all departments
+//   node jobs/defaulterNotices.js --department "Civil"  → one department
+//   node jobs/defaulterNotices.js --dry-run             → count defaulters, send nothing
+const mongoose = require('mongoose');
+const { sendDefaulterNotices } = require('../utils/defaulters');
+
+// Runs weekly on DEFAULTER_NOTICE_DAY (0 = Sunday … 6 = Saturday, default 1) at
+// DEFAULTER_NOTICE_AT (HH:MM server time, default 08:00)
+const scheduleWeeklyDefaulterNotices = () => {
+	const weekday = Number(process.env.DEFAULTER_NOTICE_DAY ?? 1);
+	const [hh, mm] = (process.env.DEFAULTER_NOTICE_AT || '08:00').split(':').map(Number);
+
+	const scheduleNext = () => {
+		const next = new Date();
+		next.setHours(hh, mm || 0, 0, 0);
+		next.setDate(next.getDate() + ((weekday - next.getDay() + 7) % 7));
+		if (next <= new Date()) next.setDate(next.getDate() + 7);
+
+		const timer = setTimeout(async () => {
+			try {
+				const report = await sendDefaulterNotices({ filter: {} });
+				console.log(`Defaulter notices: ${report.noticed}/${report.defaulters} students noticed, ${report.recipients.failed} failed, ${report.recipients.bounced} bounced`);
+			} catch (err) {
+				console.error('Defaulter notice error:', err);
+			}
+			scheduleNext();
+		}, next - Date.now());
+		timer.unref();
+	};
+
+	scheduleNext();
+};
+
+module.exports = { scheduleWeeklyDefaulterNotices };
+
+// CLI
+if (require.main === module) {
+	require('dotenv').config();
+	const connectDB = require('../config/db');
+
+	const args = process.argv.slice(2);
+	const deptIndex = args.indexOf('--department');
+	const filter = deptIndex !== -1 ? { department: args[deptIndex + 1] } : {};
+
+	connectDB()
+		.then(() => sendDefaulterNotices({ filter, dryRun: args.includes('--dry-run') }))
+		.then((report) => console.log(JSON.stringify(report, null, 2)))
+		.catch((err) => {
+			console.error('Defaulter notices failed:', err);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
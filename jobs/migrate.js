@@ -0,0 +1,77 @@
+// jobs/migrate.js
+// One-off schema upkeep that existing databases need before the current code works.
+// Run it by hand (or from a deploy step) once per release; it is idempotent, so repeating
+// it is harmless. The server never runs it: index changes must not race live requests.
+//
+//   npm run migrate
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Timetable = require('../models/Timetable');
+const Teacher = require('../models/Teacher');
+const InterventionCase = require('../models/InterventionCase');
+
+// Unique index from before period-aware attendance; it rejects a second period of a subject on one day
+const OLD_ATTENDANCE_INDEX = 'student_1_date_1_subjectCode_1';
+
+/**
+ * - Attendance: drop the old { student, date, subjectCode } unique index and build the
+ *   period-aware one. Only that index is touched; anything else on the collection stays.
+ * - Attendance: copy period (and section) from the timetable slot onto records that name a
+ *   slot but were saved before those fields existed, so re-marking the class finds them.
+ * - Timetable: copy the scheduled teacher's department onto slots created before the field existed.
+ * - InterventionCase: set isOpen on cases created before the field existed, so the
+ *   one-open-case-per-student index covers them.
+ * Returns { droppedIndexes, recordsBackfilled, slotsBackfilled, casesBackfilled }.
+ */
+const runMigrations = async () => {
+	const droppedIndexes = [];
+	const indexes = await Attendance.collection.indexes();
+	if (indexes.some((i) => i.name === OLD_ATTENDANCE_INDEX)) {
+		await Attendance.collection.dropIndex(OLD_ATTENDANCE_INDEX);
+		droppedIndexes.push(OLD_ATTENDANCE_INDEX);
+	}
+	await Attendance.createIndexes();
+
+	let recordsBackfilled = 0;
+	const slotIds = await Attendance.distinct('timetable', { timetable: { $ne: null }, period: null });
+	if (slotIds.length) {
+		const slots = await Timetable.find({ _id: { $in: slotIds } }).select('period section').lean();
+		const ops = slots.map((slot) => ({
+			updateMany: { filter: { timetable: slot._id, period: null }, update: { $set: { period: slot.period, section: slot.section } } },
+		}));
+		if (ops.length) recordsBackfilled = (await Attendance.bulkWrite(ops)).modifiedCount;
+	}
+
+	let slotsBackfilled = 0;
+	const teacherIds = await Timetable.distinct('teacher', { department: { $in: [null, ''] } });
+	if (teacherIds.length) {
+		const teachers = await Teacher.find({ _id: { $in: teacherIds } }).select('department').lean();
+		const ops = teachers
+			.filter((t) => t.department)
+			.map((t) => ({ updateMany: { filter: { teacher: t._id, department: { $in: [null, ''] } }, update: { $set: { department: t.department } } } }));
+		if (ops.length) slotsBackfilled = (await Timetable.bulkWrite(ops)).modifiedCount;
+	}
+
+	const casesBackfilled = (
+		await InterventionCase.updateMany({ isOpen: { $exists: false } }, [{ $set: { isOpen: { $ne: ['$status', 'Closed'] } } }], { updatePipeline: true })
+	).modifiedCount;
+
+	return { droppedIndexes, recordsBackfilled, slotsBackfilled, casesBackfilled };
+};
+
+module.exports = { runMigrations };
+
+// CLI
+if (require.main === module) {
+	require('dotenv').config();
+	const connectDB = require('../config/db');
+
+	connectDB()
+		.then(runMigrations)
+		.then((report) => console.log(JSON.stringify(report, null, 2)))
+		.catch((err) => {
+			console.error('Migration failed:', err);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
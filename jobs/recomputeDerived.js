@@ -0,0 +1,201 @@
+// jobs/recomputeDerived.js
+// Rebuilds derived Student/Teacher fields from the source collections and reports drift.
+//
+//   node jobs/recomputeDerived.js                       → all departments
+//   node jobs/recomputeDerived.js --department "Civil"  → one department
+//   node jobs/recomputeDerived.js --dry-run             → report only, write nothing
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const Attendance = require('../models/Attendance');
+const RiskPolicy = require('../models/RiskPolicy');
+const { refreshEarlyWarnings } = require('../utils/earlyWarning');
+
+// Fields compared before/after to report drift
+const STUDENT_FIELDS = ['totalClasses', 'attendedClasses', 'presentCount', 'lateCount', 'absentCount', 'excusedCount', 'attendancePercentage', 'rawAttendancePercentage', 'cgpa', 'currentBacklogs', 'totalBacklogsEver', 'riskScore', 'riskLevel', 'isAtRisk'];
+
+const MAX_SAMPLES = 50;
+const BATCH_SIZE = 500;
+let running = false;
+
+// Per-student counters straight from the Attendance collection
+const attendanceCounters = async (studentIds) => {
+	const rows = await Attendance.aggregate([
+		{ $match: { student: { $in: studentIds } } },
+		{
+			$group: {
+				_id: '$student',
+				total: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 0, 1] } },
+				present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+				late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+				absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+				excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } },
+			},
+		},
+	]);
+	return new Map(rows.map((r) => [r._id.toString(), r]));
+};
+
+// Students are streamed from a cursor and their attendance counters fetched per batch,
+// so a full run never holds the whole collection in memory
+const recomputeStudents = async (filter, { dryRun }) => {
+	const report = { scanned: 0, corrected: 0, fieldDrift: {}, samples: [] };
+	let batch = [];
+	for await (const student of Student.find(filter).cursor()) {
+		batch.push(student);
+		if (batch.length === BATCH_SIZE) {
+			await recomputeStudentBatch(batch, report, { dryRun });
+			batch = [];
+		}
+	}
+	if (batch.length > 0) await recomputeStudentBatch(batch, report, { dryRun });
+	return report;
+};
+
+const recomputeStudentBatch = async (students, report, { dryRun }) => {
+	const counters = await attendanceCounters(students.map((s) => s._id));
+
+	for (const student of students) {
+		report.scanned++;
+		const before = Object.fromEntries(STUDENT_FIELDS.map((f) => [f, student[f]]));
+
+		// Students without Attendance docs keep their (manually maintained) counters
+		const c = counters.get(student._id.toString());
+		if (c) {
+			student.totalClasses = c.total;
+			student.attendedClasses = c.present + c.late;
+			student.presentCount = c.present;
+			student.lateCount = c.late;
+			student.absentCount = c.absent;
+			student.excusedCount = c.excused;
+		}
+
+		if (dryRun) {
+			// Run the same derivations save() would, without persisting
+			student.applyAcademics();
+			student.applyRisk(await RiskPolicy.resolveFor(student.department, student.program));
+		} else {
+			await student.save();
+		}
+
+		const changes = {};
+		for (const f of STUDENT_FIELDS) {
+			if (before[f] !== student[f]) {
+				changes[f] = { from: before[f], to: student[f] };
+				report.fieldDrift[f] = (report.fieldDrift[f] || 0) + 1;
+			}
+		}
+		if (Object.keys(changes).length > 0) {
+			report.corrected++;
+			if (report.samples.length < MAX_SAMPLES) {
+				report.samples.push({ student: student._id, rollNo: student.rollNo, changes });
+			}
+		}
+	}
+};
+
+const recomputeTeachers = async (filter, { dryRun }) => {
+	const report = { scanned: 0, corrected: 0, samples: [] };
+	const teachers = await Teacher.find(filter).select('name employeeId department subjects atRiskStudentsCount');
+
+	for (const teacher of teachers) {
+		report.scanned++;
+		const classes = teacher.subjects.map((sub) => ({ department: teacher.department, semester: sub.semester, section: sub.section, batch: sub.batch }));
+		const count = classes.length > 0 ? await Student.countDocuments({ isAtRisk: true, $or: classes }) : 0;
+
+		if (teacher.atRiskStudentsCount !== count) {
+			report.corrected++;
+			if (report.samples.length < MAX_SAMPLES) {
+				report.samples.push({ teacher: teacher._id, employeeId: teacher.employeeId, atRiskStudentsCount: { from: teacher.atRiskStudentsCount, to: count } });
+			}
+			if (!dryRun) {
+				await Teacher.updateOne({ _id: teacher._id }, { $set: { atRiskStudentsCount: count } });
+			}
+		}
+	}
+
+	return report;
+};
+
+/**
+ * Recompute derived fields. Options: { department, dryRun }.
+ * Students go first so teacher at-risk counts use fresh flags.
+ */
+const recomputeDerived = async ({ department, dryRun = false } = {}) => {
+	if (running) throw new Error('Recompute already running');
+	running = true;
+	const startedAt = new Date();
+
+	try {
+		const filter = department ? { department } : {};
+		const students = await recomputeStudents(filter, { dryRun });
+		const teachers = await recomputeTeachers(filter, { dryRun });
+
+		// Streaks and week-over-week drops depend on the date, so re-evaluate even without new records
+		let earlyWarnings = null;
+		if (!dryRun) {
+			const ids = await Student.distinct('_id', filter);
+			earlyWarnings = { flaggedStudents: await refreshEarlyWarnings(ids) };
+		}
+
+		return {
+			department: department || 'ALL',
+			dryRun,
+			startedAt,
+			durationMs: Date.now() - startedAt.getTime(),
+			students,
+			teachers,
+			earlyWarnings,
+		};
+	} finally {
+		running = false;
+	}
+};
+
+// Runs every day at RECOMPUTE_AT (HH:MM server time, default 02:00)
+const scheduleNightlyRecompute = () => {
+	const [hh, mm] = (process.env.RECOMPUTE_AT || '02:00').split(':').map(Number);
+
+	const scheduleNext = () => {
+		const next = new Date();
+		next.setHours(hh, mm || 0, 0, 0);
+		if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+		const timer = setTimeout(async () => {
+			try {
+				const report = await recomputeDerived();
+				console.log(`Nightly recompute: ${report.students.corrected}/${report.students.scanned} students, ${report.teachers.corrected}/${report.teachers.scanned} teachers corrected`);
+			} catch (err) {
+				console.error('Nightly recompute error:', err);
+			}
+			scheduleNext();
+		}, next - Date.now());
+		timer.unref();
+	};
+
+	scheduleNext();
+};
+
+module.exports = { recomputeDerived, scheduleNightlyRecompute };
+
+// CLI
+if (require.main === module) {
+	require('dotenv').config();
+	const connectDB = require('../config/db');
+
+	const args = process.argv.slice(2);
+	const deptIndex = args.indexOf('--department');
+	const options = {
+		department: deptIndex !== -1 ? args[deptIndex + 1] : undefined,
+		dryRun: args.includes('--dry-run'),
+	};
+
+	connectDB()
+		.then(() => recomputeDerived(options))
+		.then((report) => console.log(JSON.stringify(report, null, 2)))
+		.catch((err) => {
+			console.error('Recompute failed:', err);
+			process.exitCode = 1;
+		})
+		.finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,68 @@
+// models/Assessment.js
+const mongoose = require('mongoose');
+
+// Internal assessment component of a subject, e.g. "Mid-term 1" out of 30 worth 20%
+const componentSchema = new mongoose.Schema(
+	{
+		key: { type: String, required: true, trim: true },
+		name: { type: String, required: true, trim: true },
+		type: {
+			type: String,
+			enum: ['midterm', 'quiz', 'lab', 'assignment', 'endsem', 'other'],
+			default: 'other',
+		},
+		maxMarks: { type: Number, required: true, min: 1 },
+		weight: { type: Number, required: true, min: 0, max: 100 }, // % of the final marks
+	},
+	{ _id: false }
+);
+
+// marks: null → absent for that component
+const scoreSchema = new mongoose.Schema(
+	{
+		student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+		componentKey: { type: String, required: true },
+		marks: { type: Number, min: 0, default: null },
+		enteredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+		enteredAt: { type: Date, default: Date.now },
+	},
+	{ _id: false }
+);
+
+// One subject taught to one section: component setup plus every student's component marks.
+// Finalizing writes the weighted total and grade into Student.academics.
+const assessmentSchema = new mongoose.Schema(
+	{
+		department: { type: String, required: true },
+		subjectCode: { type: String, required: true, uppercase: true, trim: true },
+		subjectName: { type: String, trim: true },
+		credits: { type: Number, required: true, min: 0 },
+		semester: { type: Number, required: true },
+		section: { type: String, required: true, uppercase: true },
+		batch: { type: String, trim: true },
+		teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+
+		components: { type: [componentSchema], default: [] },
+		scores: { type: [scoreSchema], default: [] },
+
+		finalizedAt: { type: Date, default: null },
+		finalizedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+	},
+	{ timestamps: true }
+);
+
+assessmentSchema.pre('validate', function () {
+	const keys = this.components.map((c) => c.key);
+	if (new Set(keys).size !== keys.length) {
+		this.invalidate('components', 'Component keys must be unique');
+	}
+	const total = this.components.reduce((sum, c) => sum + c.weight, 0);
+	if (this.components.length > 0 && Math.abs(total - 100) > 0.01) {
+		this.invalidate('components', `Component weights must add up to 100 (got ${total})`);
+	}
+});
+
+assessmentSchema.index({ department: 1, subjectCode: 1, semester: 1, section: 1, batch: 1 }, { unique: true });
+assessmentSchema.index({ 'scores.student': 1 });
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
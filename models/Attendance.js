@@ -16,7 +16,7 @@ const attendanceSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['present', 'absent', 'late'],
+      enum: ['present', 'absent', 'late', 'excused'], // excused = absence covered by approved leave
       required: true,
     },
     subjectCode: {
@@ -28,6 +28,23 @@ const attendanceSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Timetable slot this record belongs to (period-aware attendance)
+    timetable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Timetable',
+      default: null,
+    },
+    period: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: null,
+    },
+    section: {
+      type: String,
+      uppercase: true,
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Teacher',
@@ -41,12 +58,15 @@ const attendanceSchema = new mongoose.Schema(
 
 // CRITICAL: Remove conflicting unique indexes — keep only ONE strategy
 
-// STRATEGY 1: Per-subject attendance (COLLEGE STYLE - RECOMMENDED)
+// STRATEGY 1: Per-subject, per-period attendance (COLLEGE STYLE - RECOMMENDED)
+// period is part of the key so two lectures of one subject on the same day don't collide.
+// Records without a period (legacy uploads) behave like the old student/date/subject key.
+// Replaces the old { student, date, subjectCode } index; jobs/migrate.js drops that one on startup.
 attendanceSchema.index(
-  { student: 1, date: 1, subjectCode: 1 },
+  { student: 1, date: 1, subjectCode: 1, period: 1 },
   {
     unique: true,
-    partialFilterExpression: { subjectCode: { $exists: true, $ne: null } },
+    partialFilterExpression: { subjectCode: { $type: 'string' } },
   }
 );
 
@@ -57,6 +77,7 @@ attendanceSchema.index(
 attendanceSchema.index({ createdBy: 1, date: -1 }); // Teacher's history
 attendanceSchema.index({ date: -1 });               // Daily reports
 attendanceSchema.index({ student: 1, date: -1 });   // Student timeline
+attendanceSchema.index({ timetable: 1, date: 1 });  // Marked periods per slot
 
 // Normalize date to midnight (removes time part)
 attendanceSchema.pre('save', function (next) {
@@ -0,0 +1,55 @@
+// models/AttendanceAudit.js
+const mongoose = require('mongoose');
+
+const recordStateSchema = new mongoose.Schema(
+	{
+		date: Date,
+		status: String,
+		subjectCode: String,
+		subjectName: String,
+	},
+	{ _id: false }
+);
+
+// Append-only log of corrections made to Attendance records after upload
+const attendanceAuditSchema = new mongoose.Schema(
+	{
+		attendance: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Attendance',
+			required: true,
+			index: true,
+		},
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+			index: true,
+		},
+		action: {
+			type: String,
+			enum: ['update', 'delete'],
+			required: true,
+		},
+		before: { type: recordStateSchema, required: true },
+		after: { type: recordStateSchema, default: null }, // null for deletes
+		reason: { type: String, required: true, trim: true },
+		changedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			refPath: 'changedByModel',
+			required: true,
+		},
+		changedByModel: {
+			type: String,
+			enum: ['Teacher', 'Admin'],
+			required: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	}
+);
+
+attendanceAuditSchema.index({ changedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AttendanceAudit', attendanceAuditSchema);
@@ -0,0 +1,49 @@
+// models/AttendanceSession.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const submissionSchema = new mongoose.Schema(
+	{
+		student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+		status: { type: String, enum: ['present', 'late'], required: true },
+		submittedAt: { type: Date, default: Date.now },
+	},
+	{ _id: false }
+);
+
+// A time-boxed self check-in window for one timetable slot on one day
+const attendanceSessionSchema = new mongoose.Schema(
+	{
+		timetable: { type: mongoose.Schema.Types.ObjectId, ref: 'Timetable', required: true },
+		teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true }, // who opened it
+		date: { type: Date, required: true }, // midnight of the class day
+		department: { type: String, required: true },
+		subjectCode: { type: String, required: true, uppercase: true },
+		subjectName: { type: String },
+		period: { type: Number, required: true },
+		semester: { type: Number, required: true },
+		section: { type: String, required: true, uppercase: true },
+		batch: { type: String },
+
+		secret: {
+			type: String,
+			select: false,
+			default: () => crypto.randomBytes(32).toString('hex'),
+		},
+		rotateSeconds: { type: Number, default: 30, min: 10, max: 300 },
+		lateAfter: { type: Date, required: true }, // check-ins after this are "late"
+		expiresAt: { type: Date, required: true }, // no check-ins after this
+
+		status: { type: String, enum: ['open', 'closed'], default: 'open' },
+		submissions: { type: [submissionSchema], default: [] },
+		// student id → wrong codes submitted; check-in is locked at MAX_CODE_ATTEMPTS (routes/attendanceSession.js)
+		failedAttempts: { type: Map, of: Number, default: {}, select: false },
+		closedAt: { type: Date },
+	},
+	{ timestamps: true }
+);
+
+attendanceSessionSchema.index({ timetable: 1, date: 1 }, { unique: true });
+attendanceSessionSchema.index({ status: 1, semester: 1, section: 1, date: 1 });
+
+module.exports = mongoose.model('AttendanceSession', attendanceSessionSchema);
@@ -0,0 +1,41 @@
+// models/CalendarEvent.js
+const mongoose = require('mongoose');
+
+// Academic calendar entry. startDate/endDate are inclusive and stored at midnight.
+//  holiday → no classes
+//  exam    → exam week, no regular classes
+//  term    → semester teaching window (semester start → end)
+//  event   → informational, classes run as usual
+const calendarEventSchema = new mongoose.Schema(
+	{
+		title: { type: String, required: true, trim: true },
+		type: {
+			type: String,
+			enum: ['holiday', 'exam', 'term', 'event'],
+			required: true,
+		},
+		startDate: { type: Date, required: true },
+		endDate: { type: Date, required: true },
+		department: { type: String, default: null }, // null → whole institution
+		description: { type: String, trim: true },
+
+		source: { type: String, enum: ['manual', 'ics'], default: 'manual' },
+		uid: { type: String, default: null }, // ICS UID, makes re-imports idempotent
+
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+	},
+	{ timestamps: true }
+);
+
+calendarEventSchema.pre('validate', function () {
+	if (this.startDate) this.startDate.setHours(0, 0, 0, 0);
+	if (this.endDate) this.endDate.setHours(0, 0, 0, 0);
+	if (this.startDate && this.endDate && this.endDate < this.startDate) {
+		this.invalidate('endDate', 'endDate must not be before startDate');
+	}
+});
+
+calendarEventSchema.index({ startDate: 1, endDate: 1 });
+calendarEventSchema.index({ uid: 1 }, { unique: true, partialFilterExpression: { uid: { $type: 'string' } } });
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
@@ -0,0 +1,61 @@
+// models/DefaulterNotice.js
+const mongoose = require('mongoose');
+
+// One email to one address. status:
+//  sent    → accepted by the mail server
+//  failed  → could not be handed to the mail server (see error)
+//  bounced → rejected by the server at send time, or reported back later (POST /api/notices/:id/bounce)
+const recipientSchema = new mongoose.Schema(
+	{
+		type: { type: String, enum: ['student', 'guardian'], required: true },
+		email: { type: String, required: true, lowercase: true, trim: true },
+		status: { type: String, enum: ['sent', 'failed', 'bounced'], required: true },
+		messageId: { type: String },
+		error: { type: String },
+		sentAt: { type: Date },
+		bouncedAt: { type: Date },
+	},
+	{ _id: false }
+);
+
+const subjectShortfallSchema = new mongoose.Schema(
+	{
+		subjectCode: String,
+		subjectName: String,
+		attended: Number, // after the late rule
+		total: Number,
+		percentage: Number,
+	},
+	{ _id: false }
+);
+
+// Weekly attendance defaulter notice: proof of what was sent, when and to whom
+const defaulterNoticeSchema = new mongoose.Schema(
+	{
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+			index: true,
+		},
+		department: { type: String, required: true },
+		semester: { type: Number },
+		section: { type: String, uppercase: true },
+
+		weekOf: { type: Date, required: true }, // Monday of the notice week
+		threshold: { type: Number, required: true },
+		subjects: { type: [subjectShortfallSchema], default: [] },
+		emailSubject: { type: String, required: true },
+		recipients: { type: [recipientSchema], default: [] },
+
+		// null → sent by the weekly job
+		sentBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'sentByModel', default: null },
+		sentByModel: { type: String, enum: ['Teacher', 'Admin'] },
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } }
+);
+
+defaulterNoticeSchema.index({ student: 1, weekOf: 1 }, { unique: true }); // one notice per student per week
+defaulterNoticeSchema.index({ department: 1, weekOf: -1 });
+
+module.exports = mongoose.model('DefaulterNotice', defaulterNoticeSchema);
@@ -0,0 +1,47 @@
+// models/EligibilityAdjustment.js
+const mongoose = require('mongoose');
+
+// Exam-eligibility adjustments recorded by an HOD/Admin:
+//  medical  → condonedClasses absences are counted as attended (within the condonation limit)
+//  override → final decision for the subject regardless of attendance
+// subjectCode null → applies to every subject of that semester
+const eligibilityAdjustmentSchema = new mongoose.Schema(
+	{
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+			index: true,
+		},
+		semester: { type: Number, required: true },
+		subjectCode: { type: String, uppercase: true, trim: true, default: null },
+		type: {
+			type: String,
+			enum: ['medical', 'override'],
+			required: true,
+		},
+		condonedClasses: { type: Number, min: 1 }, // medical only
+		decision: { type: String, enum: ['eligible', 'detained'] }, // override only
+		reason: { type: String, required: true, trim: true },
+		approvedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			refPath: 'approvedByModel',
+			required: true,
+		},
+		approvedByModel: { type: String, enum: ['Teacher', 'Admin'], required: true },
+	},
+	{ timestamps: true }
+);
+
+eligibilityAdjustmentSchema.pre('validate', function () {
+	if (this.type === 'medical' && !this.condonedClasses) {
+		this.invalidate('condonedClasses', 'condonedClasses is required for medical condonation');
+	}
+	if (this.type === 'override' && !this.decision) {
+		this.invalidate('decision', 'decision is required for an override');
+	}
+});
+
+eligibilityAdjustmentSchema.index({ student: 1, semester: 1, subjectCode: 1 });
+
+module.exports = mongoose.model('EligibilityAdjustment', eligibilityAdjustmentSchema);
@@ -0,0 +1,84 @@
+// models/GradingScheme.js
+const mongoose = require('mongoose');
+const { DEFAULT_SCHEME, schemeProblems } = require('../utils/grading');
+
+const gradeSchema = new mongoose.Schema(
+	{
+		grade: { type: String, required: true, trim: true },
+		points: { type: Number, required: true, min: 0 },
+		minMarks: { type: Number, min: 0, max: 100 }, // absolute schemes
+		minPercentile: { type: Number, min: 0, max: 100 }, // relative schemes
+		passing: { type: Boolean, required: true },
+	},
+	{ _id: false }
+);
+
+// How marks turn into grades for a department, optionally narrowed to a program and batch.
+// department: null → institution-wide. Grades already stored on students keep the points
+// they were awarded with, so editing a scheme only affects later uploads.
+const gradingSchemeSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true, trim: true },
+		department: { type: String, default: null, trim: true },
+		program: { type: String, default: null, trim: true },
+		batch: { type: String, default: null, trim: true },
+		isActive: { type: Boolean, default: true },
+
+		method: { type: String, enum: ['absolute', 'relative'], default: 'absolute' },
+		maxPoints: { type: Number, required: true, min: 1, max: 10 },
+		passMarks: { type: Number, required: true, min: 0, max: 100 },
+		absentGrade: { type: String, default: DEFAULT_SCHEME.absentGrade, trim: true },
+		minClassSize: { type: Number, default: DEFAULT_SCHEME.minClassSize, min: 1 }, // relative schemes
+		grades: { type: [gradeSchema], required: true },
+
+		notes: { type: String, trim: true },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
+	},
+	{ timestamps: true }
+);
+
+gradingSchemeSchema.index(
+	{ department: 1, program: 1, batch: 1 },
+	{ unique: true, partialFilterExpression: { isActive: true } }
+);
+
+gradingSchemeSchema.pre('validate', function () {
+	if (this.program && !this.department) this.invalidate('program', 'A program scheme needs a department');
+	if (this.batch && !this.program) this.invalidate('batch', 'A batch scheme needs a program');
+	for (const problem of schemeProblems(this)) this.invalidate('grades', problem);
+});
+
+// Plain object in the shape utils/grading expects
+gradingSchemeSchema.methods.toGradingConfig = function () {
+	const s = this.toObject();
+	return {
+		_id: s._id,
+		name: s.name,
+		method: s.method,
+		maxPoints: s.maxPoints,
+		passMarks: s.passMarks,
+		absentGrade: s.absentGrade,
+		minClassSize: s.minClassSize,
+		grades: s.grades,
+	};
+};
+
+// Most specific active scheme wins: department+program+batch → department+program → department → institution → built-in
+gradingSchemeSchema.statics.resolveFor = async function (department, program, batch) {
+	const candidates = await this.find({
+		isActive: true,
+		$or: [
+			{ department: department || null, program: program || null, batch: batch || null },
+			{ department: department || null, program: program || null, batch: null },
+			{ department: department || null, program: null, batch: null },
+			{ department: null, program: null, batch: null },
+		],
+	});
+
+	const rank = (s) => (s.department ? 4 : 0) + (s.program ? 2 : 0) + (s.batch ? 1 : 0);
+	const best = candidates.sort((a, b) => rank(b) - rank(a))[0];
+
+	return best ? best.toGradingConfig() : DEFAULT_SCHEME;
+};
+
+module.exports = mongoose.model('GradingScheme', gradingSchemeSchema);
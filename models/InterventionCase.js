@@ -0,0 +1,76 @@
+// models/InterventionCase.js
+const mongoose = require('mongoose');
+
+// A meeting, action or note logged against a case
+const caseEntrySchema = new mongoose.Schema(
+	{
+		type: {
+			type: String,
+			enum: ['meeting', 'action', 'note'],
+			required: true,
+		},
+		summary: { type: String, required: true, trim: true },
+		date: { type: Date, default: Date.now },
+		by: { type: mongoose.Schema.Types.ObjectId, refPath: 'entries.byModel', required: true },
+		byModel: { type: String, enum: ['Teacher', 'Admin'], required: true },
+	},
+	{ timestamps: true }
+);
+
+const interventionCaseSchema = new mongoose.Schema(
+	{
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+			index: true,
+		},
+		department: { type: String, required: true }, // copied from student for HOD scoping
+		reason: { type: String, required: true, trim: true },
+
+		owner: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+		ownerRole: {
+			type: String,
+			enum: ['Mentor', 'Counsellor'],
+			default: 'Mentor',
+		},
+
+		status: {
+			type: String,
+			enum: ['Open', 'In Progress', 'Closed'],
+			default: 'Open',
+		},
+		// status !== 'Closed', kept in sync on save; backs the one-open-case-per-student index
+		isOpen: { type: Boolean, default: true },
+		followUpDate: { type: Date },
+
+		// Risk at the time the case was opened, to compare against the outcome
+		riskScoreAtOpen: { type: Number },
+		riskLevelAtOpen: { type: String },
+
+		entries: { type: [caseEntrySchema], default: [] },
+
+		outcome: {
+			type: String,
+			enum: ['Improved', 'No Change', 'Worsened', 'Dropped Out', 'Transferred', 'Other'],
+		},
+		outcomeNotes: { type: String, trim: true },
+		closedAt: { type: Date },
+		closedBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'closedByModel' },
+		closedByModel: { type: String, enum: ['Teacher', 'Admin'] },
+
+		openedBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'openedByModel', required: true },
+		openedByModel: { type: String, enum: ['Teacher', 'Admin'], required: true },
+	},
+	{ timestamps: true }
+);
+
+interventionCaseSchema.pre('validate', function () {
+	this.isOpen = this.status !== 'Closed';
+});
+
+interventionCaseSchema.index({ student: 1 }, { unique: true, partialFilterExpression: { isOpen: true } }); // one open case per student
+interventionCaseSchema.index({ owner: 1, status: 1, followUpDate: 1 }); // "My cases" + due follow-ups
+interventionCaseSchema.index({ department: 1, status: 1 });
+
+module.exports = mongoose.model('InterventionCase', interventionCaseSchema);
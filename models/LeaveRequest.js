@@ -0,0 +1,60 @@
+// models/LeaveRequest.js
+const mongoose = require('mongoose');
+
+// Leave submitted by a student and reviewed by a mentor (a teacher of the section) or HOD.
+// Once approved, absent records inside the window become `excused` (see utils/leave.js).
+// subjectCodes empty → every class in the window is covered
+const leaveRequestSchema = new mongoose.Schema(
+	{
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+			index: true,
+		},
+		// copied from student for reviewer scoping
+		department: { type: String, required: true },
+		semester: { type: Number, required: true },
+		section: { type: String, uppercase: true, required: true },
+
+		type: {
+			type: String,
+			enum: ['medical', 'sports', 'eventDuty'],
+			required: true,
+		},
+		fromDate: { type: Date, required: true },
+		toDate: { type: Date, required: true }, // inclusive
+		subjectCodes: { type: [String], default: [] },
+		reason: { type: String, required: true, trim: true },
+		document: {
+			url: { type: String, trim: true },
+			name: { type: String, trim: true },
+		},
+
+		status: {
+			type: String,
+			enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+			default: 'Pending',
+		},
+		reviewedBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'reviewedByModel' },
+		reviewedByModel: { type: String, enum: ['Teacher', 'Admin'] },
+		reviewedAt: { type: Date },
+		reviewNote: { type: String, trim: true },
+		excusedRecords: { type: Number, default: 0 }, // absences converted on approval
+	},
+	{ timestamps: true }
+);
+
+leaveRequestSchema.pre('validate', function () {
+	if (this.fromDate) this.fromDate.setHours(0, 0, 0, 0);
+	if (this.toDate) this.toDate.setHours(0, 0, 0, 0);
+	if (this.fromDate && this.toDate && this.toDate < this.fromDate) {
+		this.invalidate('toDate', 'toDate must not be before fromDate');
+	}
+	this.subjectCodes = this.subjectCodes.map((c) => c.trim().toUpperCase()).filter(Boolean);
+});
+
+leaveRequestSchema.index({ department: 1, status: 1, createdAt: -1 });
+leaveRequestSchema.index({ student: 1, status: 1, fromDate: 1 });
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,127 @@
+// models/RiskPolicy.js
+const mongoose = require('mongoose');
+const { DEFAULT_POLICY } = require('../utils/riskEngine');
+const { LATE_MODES } = require('../utils/latePolicy');
+
+const rangeSchema = (fields) => new mongoose.Schema(fields, { _id: false });
+
+// A policy applies to a department and optionally one program inside it.
+// department: null → institution-wide default. Documents are never edited in place:
+// an update inserts version N+1 and deactivates N, so old snapshots stay traceable.
+const riskPolicySchema = new mongoose.Schema(
+	{
+		department: { type: String, default: null, trim: true },
+		program: { type: String, default: null, trim: true },
+		version: { type: Number, required: true, min: 1 },
+		isActive: { type: Boolean, default: true },
+
+		weights: rangeSchema({
+			attendance: { type: Number, min: 0, required: true },
+			cgpa: { type: Number, min: 0, required: true },
+			backlogs: { type: Number, min: 0, required: true },
+			feePending: { type: Number, min: 0, required: true },
+			warnings: { type: Number, min: 0, required: true },
+			sgpaDrop: { type: Number, min: 0, required: true },
+			missedAssignments: { type: Number, min: 0, required: true },
+		}),
+		attendance: rangeSchema({
+			minimum: { type: Number, min: 0, max: 100, required: true },
+			critical: { type: Number, min: 0, max: 100, required: true },
+			condonationLimit: { type: Number, min: 0, max: 100, default: DEFAULT_POLICY.attendance.condonationLimit },
+			lateMode: { type: String, enum: LATE_MODES, default: DEFAULT_POLICY.attendance.lateMode },
+			lateCredit: { type: Number, min: 0, max: 1, default: DEFAULT_POLICY.attendance.lateCredit }, // fraction mode
+			latesPerAbsence: { type: Number, min: 1, default: DEFAULT_POLICY.attendance.latesPerAbsence }, // perAbsence mode
+		}),
+		cgpa: rangeSchema({
+			cutoff: { type: Number, min: 0, max: 10, required: true },
+			critical: { type: Number, min: 0, max: 10, required: true },
+		}),
+		backlogs: rangeSchema({ max: { type: Number, min: 1, required: true } }),
+		warnings: rangeSchema({ max: { type: Number, min: 1, required: true } }),
+		sgpaDrop: rangeSchema({ max: { type: Number, min: 0.1, required: true } }),
+		missedAssignments: rangeSchema({ max: { type: Number, min: 1, required: true } }),
+		levels: rangeSchema({
+			Medium: { type: Number, min: 0, max: 100, required: true },
+			High: { type: Number, min: 0, max: 100, required: true },
+			Critical: { type: Number, min: 0, max: 100, required: true },
+		}),
+		earlyWarning: rangeSchema({
+			consecutiveAbsences: { type: Number, min: 1, required: true },
+			weeklyDropPoints: { type: Number, min: 0, max: 100, required: true },
+			subjectAbsences: { type: Number, min: 1, required: true },
+			subjectWindowDays: { type: Number, min: 1, max: 60, required: true },
+		}),
+		manualFlagLevel: {
+			type: String,
+			enum: ['Medium', 'High', 'Critical'],
+			default: 'High',
+		},
+
+		notes: { type: String, trim: true },
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Admin',
+			required: true,
+		},
+	},
+	{ timestamps: true }
+);
+
+riskPolicySchema.index({ department: 1, program: 1, version: -1 }, { unique: true });
+riskPolicySchema.index({ department: 1, program: 1, isActive: 1 });
+
+riskPolicySchema.pre('validate', function () {
+	if (this.levels && !(this.levels.Medium < this.levels.High && this.levels.High < this.levels.Critical)) {
+		this.invalidate('levels', 'Level thresholds must increase: Medium < High < Critical');
+	}
+	if (this.attendance && this.attendance.critical >= this.attendance.minimum) {
+		this.invalidate('attendance.critical', 'attendance.critical must be below attendance.minimum');
+	}
+	if (this.cgpa && this.cgpa.critical >= this.cgpa.cutoff) {
+		this.invalidate('cgpa.critical', 'cgpa.critical must be below cgpa.cutoff');
+	}
+	if (this.weights) {
+		const total = Object.keys(DEFAULT_POLICY.weights).reduce((sum, key) => sum + (this.weights[key] || 0), 0);
+		if (Math.abs(total - 100) > 0.01) this.invalidate('weights', `Weights must add up to 100 (got ${total})`);
+	}
+});
+
+// Plain config object in the shape utils/riskEngine expects
+riskPolicySchema.methods.toEngineConfig = function () {
+	const p = this.toObject();
+	return {
+		_id: p._id,
+		version: p.version,
+		department: p.department,
+		program: p.program,
+		weights: p.weights,
+		attendance: { ...DEFAULT_POLICY.attendance, ...p.attendance },
+		cgpa: p.cgpa,
+		backlogs: p.backlogs,
+		warnings: p.warnings,
+		sgpaDrop: p.sgpaDrop,
+		missedAssignments: p.missedAssignments,
+		levels: p.levels,
+		earlyWarning: p.earlyWarning || DEFAULT_POLICY.earlyWarning, // versions created before early warnings existed
+		manualFlagLevel: p.manualFlagLevel,
+	};
+};
+
+// Most specific active policy wins: department+program → department → institution default → built-in
+riskPolicySchema.statics.resolveFor = async function (department, program) {
+	const candidates = await this.find({
+		isActive: true,
+		$or: [
+			{ department: department || null, program: program || null },
+			{ department: department || null, program: null },
+			{ department: null, program: null },
+		],
+	});
+
+	const rank = (p) => (p.department ? 2 : 0) + (p.program ? 1 : 0);
+	const best = candidates.sort((a, b) => rank(b) - rank(a))[0];
+
+	return best ? best.toEngineConfig() : { ...DEFAULT_POLICY, _id: null, version: 0 };
+};
+
+module.exports = mongoose.model('RiskPolicy', riskPolicySchema);
@@ -0,0 +1,44 @@
+// models/RiskSnapshot.js
+const mongoose = require('mongoose');
+
+const factorSnapshotSchema = new mongoose.Schema(
+	{
+		key: { type: String, required: true },
+		value: { type: mongoose.Schema.Types.Mixed },
+		points: { type: Number, default: 0 },
+	},
+	{ _id: false }
+);
+
+// One document per risk recompute that changed the student's score or level
+const riskSnapshotSchema = new mongoose.Schema(
+	{
+		student: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Student',
+			required: true,
+		},
+		department: { type: String, required: true },
+		program: { type: String },
+		semester: { type: Number },
+		section: { type: String },
+		riskScore: { type: Number, required: true },
+		riskLevel: {
+			type: String,
+			enum: ['Low', 'Medium', 'High', 'Critical'],
+			required: true,
+		},
+		isAtRisk: { type: Boolean, default: false },
+		riskPolicy: { type: mongoose.Schema.Types.ObjectId, ref: 'RiskPolicy', default: null },
+		riskPolicyVersion: { type: Number, default: 0 },
+		factors: { type: [factorSnapshotSchema], default: [] },
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	}
+);
+
+riskSnapshotSchema.index({ student: 1, createdAt: -1 }); // Student timeline
+riskSnapshotSchema.index({ department: 1, createdAt: -1 }); // Department movers
+
+module.exports = mongoose.model('RiskSnapshot', riskSnapshotSchema);
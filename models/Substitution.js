@@ -0,0 +1,42 @@
+// models/Substitution.js
+const mongoose = require('mongoose');
+
+// One-day cover for a timetable slot, arranged by the HOD when the scheduled teacher is away.
+// The substitute may mark attendance for that slot on that date (utils/timetable canMarkSlot).
+const substitutionSchema = new mongoose.Schema(
+	{
+		timetable: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Timetable',
+			required: true,
+		},
+		date: { type: Date, required: true }, // midnight
+		originalTeacher: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+		substitute: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher', required: true },
+		department: { type: String, required: true }, // original teacher's, for HOD scoping
+
+		// copied from the slot for listings
+		period: { type: Number },
+		subjectCode: { type: String, uppercase: true },
+		semester: { type: Number },
+		section: { type: String, uppercase: true },
+
+		reason: { type: String, trim: true },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, refPath: 'createdByModel', required: true },
+		createdByModel: { type: String, enum: ['Teacher', 'Admin'], required: true },
+	},
+	{ timestamps: true }
+);
+
+substitutionSchema.pre('validate', function () {
+	if (this.date) this.date.setHours(0, 0, 0, 0);
+	if (this.substitute && this.originalTeacher && this.substitute.equals(this.originalTeacher)) {
+		this.invalidate('substitute', 'Substitute must be a different teacher');
+	}
+});
+
+substitutionSchema.index({ timetable: 1, date: 1 }, { unique: true }); // one cover per class
+substitutionSchema.index({ substitute: 1, date: 1 });
+substitutionSchema.index({ department: 1, date: -1 });
+
+module.exports = mongoose.model('Substitution', substitutionSchema);
@@ -41,6 +41,11 @@ const timetableSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Scheduled teacher's department (filled in on save, backfilled by jobs/migrate.js)
+  department: {
+    type: String,
+    trim: true,
+  },
   time: {
     type: String, // e.g., "9:00 AM - 10:00 AM"
   },
@@ -51,9 +56,17 @@ const timetableSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+timetableSchema.pre('validate', async function () {
+  if (!this.department && this.teacher) {
+    const teacher = await mongoose.model('Teacher').findById(this.teacher).select('department').lean();
+    this.department = teacher?.department;
+  }
+});
+
 // Indexes for fast lookup
 timetableSchema.index({ teacher: 1, day: 1 });
 timetableSchema.index({ day: 1, semester: 1, section: 1 });
+timetableSchema.index({ department: 1, semester: 1, section: 1 });
 timetableSchema.index({ subjectCode: 1 });
 
 module.exports = mongoose.model('Timetable', timetableSchema);
@@ -1,21 +1,14 @@
 // models/Student.js
 const mongoose = require('mongoose');
-
-const gradeToPoints = {
-	'O': 10,
-	'A+': 9,
-	'A': 8,
-	'B+': 7,
-	'B': 6,
-	'C': 5,
-	'F': 0,
-	'Ab': 0,
-};
+const { computeRisk } = require('../utils/riskEngine');
+const { summarizeAcademics, summarizeSemester } = require('../utils/academics');
+const RiskSnapshot = require('./RiskSnapshot');
+const RiskPolicy = require('./RiskPolicy');
 
 const attendanceRecordSchema = new mongoose.Schema(
 	{
 		date: { type: Date, required: true },
-		status: { type: String, enum: ['present', 'absent', 'late'], required: true },
+		status: { type: String, enum: ['present', 'absent', 'late', 'excused'], required: true },
 	},
 	{ _id: false }
 );
@@ -30,6 +23,37 @@ const warningSchema = new mongoose.Schema(
 	{ _id: false }
 );
 
+// One sitting of a subject's exam. The subject's grade/gradePoints/passed/marks mirror the counted attempt.
+const attemptSchema = new mongoose.Schema(
+	{
+		type: { type: String, enum: ['regular', 'supplementary', 'improvement'], required: true },
+		examDate: { type: Date },
+		grade: { type: String, required: true },
+		gradePoints: { type: Number },
+		maxPoints: { type: Number }, // scale of gradePoints (grading scheme in force); absent → 10
+		passed: { type: Boolean },
+		marks: { type: Number, min: 0, max: 100 },
+		counted: { type: Boolean, default: false }, // the attempt used for SGPA/CGPA
+		recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Teacher' },
+	},
+	{ _id: false }
+);
+
+// Attendance pattern alerts, maintained by utils/earlyWarning.js
+const earlyWarningSchema = new mongoose.Schema(
+	{
+		type: { type: String, enum: ['consecutiveAbsences', 'weeklyDrop', 'subjectAbsences'], required: true },
+		subjectCode: { type: String, default: null },
+		value: { type: Number },
+		message: { type: String },
+		active: { type: Boolean, default: true },
+		detectedAt: { type: Date, default: Date.now },
+		lastSeenAt: { type: Date },
+		resolvedAt: { type: Date, default: null },
+	},
+	{ _id: false }
+);
+
 const studentSchema = new mongoose.Schema(
 	{
 		name: { type: String, required: true, trim: true },
@@ -47,7 +71,9 @@ const studentSchema = new mongoose.Schema(
 		presentCount: { type: Number, default: 0 },
 		lateCount: { type: Number, default: 0 },
 		absentCount: { type: Number, default: 0 },
-		attendancePercentage: { type: Number, default: 0 },
+		excusedCount: { type: Number, default: 0 }, // approved leave, not part of totalClasses
+		attendancePercentage: { type: Number, default: 0 }, // after the policy's late rule
+		rawAttendancePercentage: { type: Number, default: 0 }, // lates counted as attended
 
 		attendanceRecords: { type: [attendanceRecordSchema], default: [] },
 
@@ -60,13 +86,12 @@ const studentSchema = new mongoose.Schema(
 						subjectName: { type: String, required: true },
 						subjectCode: { type: String, required: true },
 						credits: { type: Number, required: true },
-						grade: {
-							type: String,
-							enum: ['O', 'A+', 'A', 'B+', 'B', 'C', 'F', 'Ab'],
-							required: true,
-						},
+						grade: { type: String, required: true }, // from the grading scheme in force at upload
 						gradePoints: { type: Number },
+						maxPoints: { type: Number }, // scale of gradePoints; SGPA/CGPA are rescaled to 10
+						passed: { type: Boolean },
 						marks: { type: Number, min: 0, max: 100 },
+						attempts: { type: [attemptSchema], default: [] },
 					},
 				],
 				sgpa: { type: Number, min: 0, max: 10 },
@@ -79,6 +104,12 @@ const studentSchema = new mongoose.Schema(
 			name: { type: String, default: null },
 			phone: { type: String, default: null },
 		},
+		// Optional: receives a copy of defaulter notices
+		guardian: {
+			name: { type: String, default: null },
+			email: { type: String, lowercase: true, trim: true, default: null },
+			phone: { type: String, default: null },
+		},
 
 		// Dashboard quick fields
 		cgpa: { type: Number, default: 0 },
@@ -91,10 +122,16 @@ const studentSchema = new mongoose.Schema(
 			default: 'Low',
 		},
 		isAtRisk: { type: Boolean, default: false },
+		riskFlaggedManually: { type: Boolean, default: false },
+		riskUpdatedAt: { type: Date },
+		riskPolicy: { type: mongoose.Schema.Types.ObjectId, ref: 'RiskPolicy', default: null },
+		riskPolicyVersion: { type: Number, default: 0 }, // 0 = built-in defaults
 		feePending: { type: Boolean, default: false },
+		missedAssignments: { type: Number, default: 0, min: 0 },
 
 		// NEW: Warnings
 		warnings: { type: [warningSchema], default: [] },
+		earlyWarnings: { type: [earlyWarningSchema], default: [] },
 
 		registeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true },
 		role: { type: String, default: 'student' },
@@ -102,4 +139,72 @@ const studentSchema = new mongoose.Schema(
 	{ timestamps: true }
 );
 
+studentSchema.index({ isAtRisk: 1, riskScore: -1 });
+studentSchema.index({ 'earlyWarnings.active': 1 });
+
+// SGPA, CGPA and backlogs are always derived from academics, never set by callers.
+// Every semester is re-summarized, so re-uploading any one of them keeps the rest consistent.
+studentSchema.methods.applyAcademics = function () {
+	for (const sem of this.academics) Object.assign(sem, summarizeSemester(sem.subjects));
+	const summary = summarizeAcademics(this.academics);
+	this.cgpa = summary.cgpa;
+	this.currentBacklogs = summary.currentBacklogs;
+	this.totalBacklogsEver = summary.totalBacklogsEver;
+	return summary;
+};
+
+// Apply the risk engine to this document (attendance %, score, level, flag)
+studentSchema.methods.applyRisk = function (policy) {
+	const risk = computeRisk(this, policy);
+	this.attendancePercentage = risk.attendancePercentage ?? 0;
+	this.rawAttendancePercentage = risk.rawAttendancePercentage ?? 0;
+	this.riskScore = risk.score;
+	this.riskLevel = risk.level;
+	this.isAtRisk = risk.isAtRisk;
+	this.riskUpdatedAt = new Date();
+	this.riskPolicy = policy?._id || null;
+	this.riskPolicyVersion = policy?.version || 0;
+	return risk;
+};
+
+// Marks, attendance and warnings all go through save() → keep derived fields and risk in sync
+studentSchema.pre('save', async function () {
+	this.applyAcademics();
+	const policy = await RiskPolicy.resolveFor(this.department, this.program);
+	const risk = this.applyRisk(policy);
+	// Only keep a history point when something a mentor would notice has moved
+	if (this.isNew || this.isModified('riskScore') || this.isModified('riskLevel') || this.isModified('riskPolicyVersion')) {
+		this.$locals.riskSnapshot = risk;
+	}
+});
+
+studentSchema.post('save', async function (doc) {
+	const risk = doc.$locals.riskSnapshot;
+	if (!risk) return;
+	doc.$locals.riskSnapshot = null;
+
+	await RiskSnapshot.create({
+		student: doc._id,
+		department: doc.department,
+		program: doc.program,
+		semester: doc.semester,
+		section: doc.section,
+		riskScore: risk.score,
+		riskLevel: risk.level,
+		isAtRisk: risk.isAtRisk,
+		riskPolicy: doc.riskPolicy,
+		riskPolicyVersion: doc.riskPolicyVersion,
+		factors: risk.factors.map((f) => ({ key: f.key, value: f.value, points: f.points })),
+	});
+});
+
+// For paths that bypass save() (bulkWrite, updateMany): reload and re-save the given students
+studentSchema.statics.recomputeRisk = async function (ids) {
+	const students = await this.find({ _id: { $in: ids } });
+	for (const student of students) {
+		await student.save();
+	}
+	return students.length;
+};
+
 module.exports = mongoose.model('Student', studentSchema);
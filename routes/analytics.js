@@ -0,0 +1,175 @@
+// routes/analytics.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const Student = require('../models/Student');
+const RiskSnapshot = require('../models/RiskSnapshot');
+
+const GROUP_FIELDS = ['department', 'program', 'batch', 'semester', 'section'];
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+const emptyBucket = (key) => ({
+	key,
+	students: 0,
+	riskLevels: { Low: 0, Medium: 0, High: 0, Critical: 0 },
+	atRisk: 0,
+	attendanceSum: 0,
+	attendanceCount: 0, // students with at least one class on record
+	cgpaSum: 0,
+	cgpaCount: 0, // students with at least one semester of results
+	backlogs: 0,
+});
+
+const addToBucket = (bucket, { riskLevel, isAtRisk, attendance, cgpa, backlogs }) => {
+	bucket.students++;
+	if (LEVELS.includes(riskLevel)) bucket.riskLevels[riskLevel]++;
+	if (isAtRisk) bucket.atRisk++;
+	// null = nothing recorded yet, which is not the same as 0%
+	if (typeof attendance === 'number') {
+		bucket.attendanceSum += attendance;
+		bucket.attendanceCount++;
+	}
+	if (typeof cgpa === 'number') {
+		bucket.cgpaSum += cgpa;
+		bucket.cgpaCount++;
+	}
+	bucket.backlogs += backlogs || 0;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const summarize = (bucket) => ({
+	students: bucket.students,
+	riskLevels: bucket.riskLevels,
+	atRisk: bucket.atRisk,
+	atRiskPercentage: bucket.students ? round2((bucket.atRisk / bucket.students) * 100) : 0,
+	avgAttendance: bucket.attendanceCount ? round2(bucket.attendanceSum / bucket.attendanceCount) : null,
+	avgCgpa: bucket.cgpaCount ? round2(bucket.cgpaSum / bucket.cgpaCount) : null,
+	totalBacklogs: bucket.backlogs,
+	avgBacklogs: bucket.students ? round2(bucket.backlogs / bucket.students) : 0,
+});
+
+const diff = (current, previous) => {
+	if (!previous || previous.students === 0) return null;
+	const d = (a, b) => (a === null || b === null ? null : round2(a - b));
+	return {
+		atRisk: current.atRisk - previous.atRisk,
+		atRiskPercentage: d(current.atRiskPercentage, previous.atRiskPercentage),
+		avgAttendance: d(current.avgAttendance, previous.avgAttendance),
+		avgCgpa: d(current.avgCgpa, previous.avgCgpa),
+		avgBacklogs: d(current.avgBacklogs, previous.avgBacklogs),
+	};
+};
+
+const factorValue = (snapshot, key) => snapshot.factors?.find((f) => f.key === key)?.value;
+
+// GET /api/analytics/cohorts?groupBy=semester,section&department=Civil&periodDays=30
+// Risk, attendance, CGPA and backlog breakdown per cohort, compared with `periodDays` ago.
+// The previous period uses each student's last risk snapshot before the cut-off; `change`
+// compares only students present in both periods, so new admissions don't show up as movement.
+router.get('/cohorts', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const groupBy = (req.query.groupBy || 'department')
+			.toString()
+			.split(',')
+			.map((f) => f.trim())
+			.filter(Boolean);
+		const invalid = groupBy.filter((f) => !GROUP_FIELDS.includes(f));
+		if (invalid.length > 0) {
+			return res.status(400).json({ success: false, message: `Invalid groupBy field(s): ${invalid.join(', ')}. Allowed: ${GROUP_FIELDS.join(', ')}` });
+		}
+
+		// Filters; HODs are always limited to their own department
+		const filter = {};
+		for (const f of GROUP_FIELDS) {
+			if (req.query[f]) filter[f] = f === 'semester' ? Number(req.query[f]) : req.query[f].toString();
+		}
+		if (req.user.role === 'HOD') filter.department = req.user.department;
+
+		const periodDays = parseInt(req.query.periodDays) || 30;
+		const previousEnd = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000);
+
+		const students = await Student.find(filter)
+			.select(`${GROUP_FIELDS.join(' ')} riskLevel isAtRisk totalClasses attendancePercentage cgpa academics.semester currentBacklogs createdAt`)
+			.lean();
+
+		// Latest snapshot per student as of the end of the previous period
+		const previousSnapshots = await RiskSnapshot.aggregate([
+			{ $match: { student: { $in: students.map((s) => s._id) }, createdAt: { $lte: previousEnd } } },
+			{ $sort: { createdAt: -1 } },
+			{ $group: { _id: '$student', riskLevel: { $first: '$riskLevel' }, isAtRisk: { $first: '$isAtRisk' }, factors: { $first: '$factors' } } },
+		]);
+		const previousMap = new Map(previousSnapshots.map((s) => [s._id.toString(), s]));
+
+		const current = {};
+		const compared = {}; // current figures of the students that also have a previous snapshot
+		const previous = {};
+		for (const s of students) {
+			const key = groupBy.map((f) => s[f] ?? 'N/A').join(' / ');
+			if (!current[key]) current[key] = { ...emptyBucket(key), cohort: Object.fromEntries(groupBy.map((f) => [f, s[f] ?? null])) };
+			const figures = {
+				riskLevel: s.riskLevel,
+				isAtRisk: s.isAtRisk,
+				attendance: s.totalClasses ? s.attendancePercentage : null,
+				cgpa: (s.academics || []).length > 0 ? s.cgpa : null, // same rule as the risk engine's hasAcademics
+				backlogs: s.currentBacklogs,
+			};
+			addToBucket(current[key], figures);
+
+			const snap = previousMap.get(s._id.toString());
+			if (snap) {
+				if (!previous[key]) previous[key] = emptyBucket(key);
+				if (!compared[key]) compared[key] = emptyBucket(key);
+				addToBucket(compared[key], figures);
+				addToBucket(previous[key], {
+					riskLevel: snap.riskLevel,
+					isAtRisk: snap.isAtRisk,
+					attendance: factorValue(snap, 'attendance'),
+					cgpa: factorValue(snap, 'cgpa'),
+					backlogs: factorValue(snap, 'backlogs'),
+				});
+			}
+		}
+
+		const cohorts = Object.keys(current)
+			.sort()
+			.map((key) => {
+				const before = previous[key] ? summarize(previous[key]) : null;
+				return {
+					cohort: current[key].cohort,
+					current: summarize(current[key]),
+					previous: before,
+					change: before ? diff(summarize(compared[key]), before) : null,
+					comparedStudents: compared[key]?.students || 0,
+				};
+			});
+
+		const total = emptyBucket('ALL');
+		Object.values(current).forEach((b) => {
+			total.students += b.students;
+			LEVELS.forEach((l) => (total.riskLevels[l] += b.riskLevels[l]));
+			total.atRisk += b.atRisk;
+			total.attendanceSum += b.attendanceSum;
+			total.attendanceCount += b.attendanceCount;
+			total.cgpaSum += b.cgpaSum;
+			total.cgpaCount += b.cgpaCount;
+			total.backlogs += b.backlogs;
+		});
+
+		res.json({
+			success: true,
+			data: {
+				groupBy,
+				filters: filter,
+				period: { days: periodDays, previousEnd },
+				overall: summarize(total),
+				cohorts,
+			},
+		});
+	} catch (err) {
+		console.error('Cohort analytics error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
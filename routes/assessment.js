@@ -0,0 +1,270 @@
+// routes/assessment.js
+// Internal assessment: component setup per subject/section, component-wise marks entry,
+// class summaries, and finalization into Student.academics.
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const Assessment = require('../models/Assessment');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const GradingScheme = require('../models/GradingScheme');
+const { mergeSubjectResult } = require('../utils/academics');
+const { gradeInfo, gradeClass } = require('../utils/grading');
+const { parseComponents, classSummary } = require('../utils/assessment');
+
+// Subject teacher manages their own assessment; HOD anything in the department
+const canManage = (user, assessment) =>
+	(user.role === 'HOD' && assessment.department === user.department) || assessment.teacher.toString() === user.id.toString();
+
+const loadAssessment = async (req, res) => {
+	const assessment = await Assessment.findById(req.params.id);
+	if (!assessment) {
+		res.status(404).json({ success: false, message: 'Assessment not found' });
+		return null;
+	}
+	if (!canManage(req.user, assessment)) {
+		res.status(403).json({ success: false, message: 'Access denied to this assessment' });
+		return null;
+	}
+	return assessment;
+};
+
+// Students the assessment covers: the batch's section, or the semester's section for older setups
+const sectionStudents = (assessment, select = 'name rollNo') => {
+	const query = { department: assessment.department, section: assessment.section };
+	if (assessment.batch) query.batch = assessment.batch;
+	else query.semester = assessment.semester;
+	return Student.find(query).select(select).sort('rollNo');
+};
+
+// POST /api/assessments  { subjectCode, semester, section, credits, subjectName?, components: [{ name, type, maxMarks, weight }] }
+router.post('/', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const { semester, credits } = req.body;
+	const subjectCode = req.body.subjectCode?.toString().trim().toUpperCase();
+	const section = req.body.section?.toString().trim().toUpperCase();
+
+	if (!subjectCode || !semester || !section || typeof credits !== 'number') {
+		return res.status(400).json({ success: false, message: 'subjectCode, semester, section and numeric credits are required' });
+	}
+	const { components, error } = parseComponents(req.body.components);
+	if (error) return res.status(400).json({ success: false, message: error });
+
+	try {
+		const teacher = await Teacher.findById(req.user.id).select('department subjects');
+		const assignment = teacher.subjects.find((s) => s.subjectCode.toUpperCase() === subjectCode && s.semester === Number(semester) && s.section === section);
+		if (!assignment && req.user.role !== 'HOD') {
+			return res.status(403).json({ success: false, message: `You do not teach ${subjectCode} to semester ${semester} section ${section}` });
+		}
+
+		const assessment = await Assessment.create({
+			department: teacher.department,
+			subjectCode,
+			subjectName: req.body.subjectName || assignment?.subjectName,
+			credits,
+			semester: Number(semester),
+			section,
+			batch: assignment?.batch || req.body.batch,
+			teacher: req.user.id,
+			components,
+		});
+
+		res.status(201).json({ success: true, message: 'Assessment created', data: assessment });
+	} catch (err) {
+		if (err.code === 11000) {
+			return res.status(409).json({ success: false, message: 'An assessment already exists for this subject and section' });
+		}
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Create assessment error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/assessments?semester=5&section=A → teacher: own, HOD: department
+router.get('/', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	try {
+		const query = req.user.role === 'HOD' ? { department: req.user.department } : { teacher: req.user.id };
+		if (req.query.semester) query.semester = Number(req.query.semester);
+		if (req.query.section) query.section = req.query.section.toString().toUpperCase();
+
+		const assessments = await Assessment.find(query).select('-scores').populate('teacher', 'name').sort({ semester: 1, section: 1, subjectCode: 1 }).lean();
+
+		res.json({ success: true, count: assessments.length, data: assessments });
+	} catch (err) {
+		console.error('List assessments error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/assessments/:id/summary → component-wise class summary + per-student weighted totals
+router.get('/:id/summary', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	try {
+		const assessment = await loadAssessment(req, res);
+		if (!assessment) return;
+
+		const students = await sectionStudents(assessment).lean();
+		const summary = classSummary(assessment, students);
+
+		res.json({
+			success: true,
+			data: {
+				_id: assessment._id,
+				subjectCode: assessment.subjectCode,
+				subjectName: assessment.subjectName,
+				semester: assessment.semester,
+				section: assessment.section,
+				finalizedAt: assessment.finalizedAt,
+				...summary,
+			},
+		});
+	} catch (err) {
+		console.error('Assessment summary error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// PUT /api/assessments/:id/components  { components } → marks of removed components are dropped
+router.put('/:id/components', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const { components, error } = parseComponents(req.body.components);
+	if (error) return res.status(400).json({ success: false, message: error });
+
+	try {
+		const assessment = await loadAssessment(req, res);
+		if (!assessment) return;
+
+		const keys = new Set(components.map((c) => c.key));
+		const dropped = assessment.scores.filter((s) => !keys.has(s.componentKey)).length;
+		assessment.components = components;
+		assessment.scores = assessment.scores.filter((s) => keys.has(s.componentKey));
+		await assessment.save();
+
+		res.json({ success: true, message: `Components updated${dropped ? `, ${dropped} mark(s) of removed components dropped` : ''}`, data: assessment.components });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Update components error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/assessments/:id/scores  { componentKey, scores: [{ rollNo, marks }] }  (marks: null → absent)
+// Re-submitting a student's marks replaces them.
+router.post('/:id/scores', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const { componentKey, scores } = req.body;
+
+	if (!componentKey || !Array.isArray(scores) || scores.length === 0) {
+		return res.status(400).json({ success: false, message: 'componentKey and scores are required' });
+	}
+
+	try {
+		const assessment = await loadAssessment(req, res);
+		if (!assessment) return;
+
+		const component = assessment.components.find((c) => c.key === componentKey);
+		if (!component) return res.status(400).json({ success: false, message: `Unknown component "${componentKey}"` });
+
+		const students = await sectionStudents(assessment, 'rollNo').lean();
+		const byRollNo = new Map(students.map((s) => [s.rollNo, s._id]));
+
+		const rejected = [];
+		const accepted = new Map();
+		for (const s of scores) {
+			const rollNo = s?.rollNo?.toString().trim();
+			const studentId = byRollNo.get(rollNo);
+			if (!studentId) rejected.push({ rollNo: rollNo || null, reason: 'Student not in this section' });
+			else if (s.marks !== null && (typeof s.marks !== 'number' || s.marks < 0 || s.marks > component.maxMarks)) {
+				rejected.push({ rollNo, reason: `marks must be between 0 and ${component.maxMarks}, or null for absent` });
+			} else accepted.set(studentId.toString(), s.marks);
+		}
+
+		if (rejected.length > 0) {
+			return res.status(400).json({ success: false, message: 'Invalid marks: nothing was saved', data: { rejected } });
+		}
+
+		assessment.scores = assessment.scores.filter((s) => !(s.componentKey === componentKey && accepted.has(s.student.toString())));
+		for (const [studentId, marks] of accepted) {
+			assessment.scores.push({ student: studentId, componentKey, marks, enteredBy: req.user.id });
+		}
+		await assessment.save();
+
+		res.json({
+			success: true,
+			message: `${accepted.size} mark(s) saved for ${component.name}${assessment.finalizedAt ? '. Finalize again to update grades.' : ''}`,
+		});
+	} catch (err) {
+		console.error('Save assessment scores error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/assessments/:id/finalize?allowIncomplete=true
+// Weighted total → final marks + grade in each student's academics for this semester.
+// Missing component marks block finalization unless allowIncomplete (they then count as 0);
+// students with nothing recorded for any component are skipped rather than failed.
+router.post('/:id/finalize', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	try {
+		const assessment = await loadAssessment(req, res);
+		if (!assessment) return;
+		const teacher = await Teacher.findById(req.user.id).select('canUploadMarks');
+		if (!teacher?.canUploadMarks) {
+			return res.status(403).json({ success: false, message: 'You are not allowed to upload marks' });
+		}
+		if (assessment.components.length === 0) {
+			return res.status(400).json({ success: false, message: 'Assessment has no components' });
+		}
+
+		const students = await sectionStudents(assessment, 'name rollNo academics department program batch');
+		const { students: rows } = classSummary(assessment, students);
+
+		const incomplete = rows.filter((r) => !r.complete).map((r) => r.rollNo);
+		if (incomplete.length > 0 && req.query.allowIncomplete !== 'true') {
+			return res.status(400).json({
+				success: false,
+				message: `${incomplete.length} student(s) have missing component marks. Enter them or retry with ?allowIncomplete=true.`,
+				data: { incomplete },
+			});
+		}
+
+		const toFinalize = students.map((student, i) => ({ student, breakdown: rows[i] })).filter((s) => !s.breakdown.noneRecorded);
+		const skipped = rows.filter((r) => r.noneRecorded).map((r) => r.rollNo);
+		if (toFinalize.length === 0) {
+			return res.status(400).json({ success: false, message: 'No component marks have been entered yet' });
+		}
+
+		const scheme = await GradingScheme.resolveFor(assessment.department, students[0]?.program, assessment.batch || students[0]?.batch);
+		// Absent for every component → the scheme's absent grade
+		const { grades, error } = gradeClass(toFinalize.map(({ breakdown: r }) => (r.absentInAll ? null : Math.round(r.total))), scheme);
+		if (error) return res.status(400).json({ success: false, message: error });
+
+		const results = [];
+		for (const [i, { student, breakdown }] of toFinalize.entries()) {
+			const grade = grades[i];
+			mergeSubjectResult(student, assessment.semester, {
+				subjectCode: assessment.subjectCode,
+				subjectName: assessment.subjectName || assessment.subjectCode,
+				credits: assessment.credits,
+				...gradeInfo(scheme, grade),
+				marks: Math.round(breakdown.total),
+			}, { recordedBy: req.user.id });
+			await student.save(); // pre-save hook updates CGPA, backlogs and risk
+			results.push({ rollNo: student.rollNo, marks: Math.round(breakdown.total), grade, complete: breakdown.complete });
+		}
+
+		assessment.finalizedAt = new Date();
+		assessment.finalizedBy = req.user.id;
+		await assessment.save();
+
+		res.json({
+			success: true,
+			message: `Final marks recorded for ${results.length} student(s)${skipped.length ? `, ${skipped.length} with no marks skipped` : ''}`,
+			data: { gradingScheme: scheme.name, results, skipped },
+		});
+	} catch (err) {
+		console.error('Finalize assessment error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -4,121 +4,258 @@ const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
 const Student = require('../models/Student');
 const Attendance = require('../models/Attendance'); // Add this
+const RiskPolicy = require('../models/RiskPolicy');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const { refreshEarlyWarnings } = require('../utils/earlyWarning');
+const { planAttendance } = require('../utils/attendancePlanner');
+const { statusIncrements, changeIncrements } = require('../utils/attendanceCounters');
+const { MODES, applyAttendanceEntries } = require('../utils/attendanceUpload');
+const { NON_WORKING_TYPES, overlaps, loadCalendar, dayStatus, dateKey: calendarDateKey } = require('../utils/calendar');
+const { adjustedAttended, attendanceFigures, describeLateRule } = require('../utils/latePolicy');
 
+// POST /api/attendance/upload?mode=report|upsert
+// Entries: { studentId, status, date?, timetableId } (subject, period and section come from the slot)
+// Breaking change: entries with only a subjectCode (the old format) are rejected; clients look the
+// slot up in GET /api/teachers/me (today's classes) or the timetable and send its _id.
+// Without mode (strict): nothing is written if any entry is invalid or already marked.
+// report: valid entries are written, the rest reported. upsert: re-submitted classes are updated.
 router.post('/upload', protect, authorize('Teacher', 'HOD'), async (req, res) => {
-	const session = await Student.startSession();
-	session.startTransaction();
+	const mode = req.query.mode ? req.query.mode.toString() : 'strict';
+	const entries = Array.isArray(req.body) ? req.body : req.body?.entries;
+	const dryRun = req.query.dryRun === 'true';
+
+	if (!MODES.includes(mode)) {
+		return res.status(400).json({ success: false, message: `mode must be one of: ${MODES.join(', ')}` });
+	}
+	if (!Array.isArray(entries) || entries.length === 0) {
+		return res.status(400).json({
+			success: false,
+			message: 'Request body must be a non-empty array of attendance records',
+		});
+	}
 
 	try {
-		const attendanceEntries = req.body;
+		const report = await applyAttendanceEntries(entries, {
+			mode,
+			actor: { id: req.user.id, role: req.user.role, department: req.user.department },
+			dryRun,
+		});
+		const { summary } = report;
 
-		if (!Array.isArray(attendanceEntries) || attendanceEntries.length === 0) {
-			return res.status(400).json({
+		if (mode === 'strict' && (summary.rejected > 0 || summary.duplicate > 0)) {
+			const failed = report.results.filter((r) => r.result === 'rejected' || r.result === 'duplicate');
+			return res.status(summary.rejected > 0 ? 400 : 409).json({
 				success: false,
-				message: 'Request body must be a non-empty array of attendance records',
+				message:
+					summary.rejected > 0
+						? 'Invalid data: nothing was saved. Fix the rejected entries or retry with ?mode=report.'
+						: 'Attendance already marked for one or more students. Retry with ?mode=report or ?mode=upsert.',
+				data: { summary, failed },
 			});
 		}
 
-		const validStatuses = ['present', 'absent', 'late'];
-		const today = new Date();
-		today.setHours(0, 0, 0, 0);
+		if (report.affectedStudents.length > 0 && !dryRun) {
+			await Student.recomputeRisk(report.affectedStudents).catch((err) => console.error('Risk recompute error:', err));
+			await refreshEarlyWarnings(report.affectedStudents).catch((err) => console.error('Early warning error:', err));
+		}
 
-		const studentUpdates = {};
-		const attendanceRecordsToInsert = [];
+		if (mode === 'strict') {
+			return res.json({
+				success: true,
+				message: `Attendance ${dryRun ? 'validated' : 'marked'} for ${entries.length} student(s)`,
+				data: {
+					markedCount: dryRun ? 0 : summary.accepted,
+					date: report.results[0].date,
+					results: report.results,
+				},
+			});
+		}
 
-		for (const entry of attendanceEntries) {
-			const { studentId, status, subjectCode, subjectName, date: rawDate } = entry;
+		res.json({
+			success: true,
+			message: `${summary.accepted} accepted, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.duplicate} duplicate, ${summary.rejected} rejected`,
+			data: { mode, dryRun, summary, results: report.results },
+		});
+	} catch (err) {
+		console.error('Attendance Upload Error:', err);
+		res.status(500).json({
+			success: false,
+			message: 'Server error during attendance upload',
+			error: err.message,
+		});
+	}
+});
 
-			if (!studentId || !validStatuses.includes(status)) {
-				await session.abortTransaction();
-				return res.status(400).json({
-					success: false,
-					message: `Invalid data: missing studentId or invalid status in entry`,
-					invalidEntry: entry,
-				});
-			}
 
-			const markDate = rawDate ? new Date(rawDate) : today;
-			markDate.setHours(0, 0, 0, 0);
-
-			// Initialize update object
-			if (!studentUpdates[studentId]) {
-				studentUpdates[studentId] = {
-					attendedIncrement: 0,
-					totalIncrement: 1,
-					presentIncrement: 0,
-					lateIncrement: 0,
-					absentIncrement: 0,
-				};
-			} else {
-				studentUpdates[studentId].totalIncrement += 1;
-			}
 
-			// Determine increments based on status
-			if (status === 'present' || status === 'late') {
-				studentUpdates[studentId].attendedIncrement += 1;
-			}
-			if (status === 'present') studentUpdates[studentId].presentIncrement += 1;
-			if (status === 'late') studentUpdates[studentId].lateIncrement += 1;
-			if (status === 'absent') studentUpdates[studentId].absentIncrement += 1;
-
-			attendanceRecordsToInsert.push({
-				student: studentId,
-				date: markDate,
-				status,
-				subjectCode: subjectCode || null,
-				subjectName: subjectName || null,
-				createdBy: req.user.id,
-			});
-		}
+// Teachers may correct what they marked; HODs anything in their department; Admin everything
+const canCorrect = (user, record, student) => {
+	if (user.role === 'Admin') return true;
+	if (user.role === 'HOD') return student.department === user.department;
+	return record.createdBy.toString() === user.id.toString();
+};
 
-		const bulkOps = Object.entries(studentUpdates).map(([studentId, increments]) => ({
-			updateOne: {
-				filter: { _id: studentId },
-				update: {
-					$inc: {
-						totalClasses: increments.totalIncrement,
-						attendedClasses: increments.attendedIncrement,
-						presentCount: increments.presentIncrement,
-						lateCount: increments.lateIncrement,
-						absentCount: increments.absentIncrement,
-					},
-				},
-			},
-		}));
+const recordState = (record) => ({
+	date: record.date,
+	status: record.status,
+	subjectCode: record.subjectCode,
+	subjectName: record.subjectName,
+});
+
+// PATCH /api/attendance/records/:id  { status, reason }
+// → Change the status of one record and adjust the student's counters in the same transaction
+router.patch('/records/:id', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const { status, reason } = req.body;
+
+	if (!['present', 'absent', 'late'].includes(status) || !reason?.trim()) {
+		return res.status(400).json({ success: false, message: 'A valid status and a reason are required' });
+	}
+
+	const session = await Student.startSession();
+	session.startTransaction();
+
+	try {
+		const record = await Attendance.findById(req.params.id).session(session);
+		if (!record) {
+			await session.abortTransaction();
+			return res.status(404).json({ success: false, message: 'Attendance record not found' });
+		}
 
-		if (bulkOps.length > 0) {
-			await Student.bulkWrite(bulkOps, { session });
+		const student = await Student.findById(record.student).select('department').session(session);
+		if (!student || !canCorrect(req.user, record, student)) {
+			await session.abortTransaction();
+			return res.status(403).json({ success: false, message: 'You cannot correct this attendance record' });
 		}
 
-		if (attendanceRecordsToInsert.length > 0) {
-			await Attendance.insertMany(attendanceRecordsToInsert, { session });
+		if (record.status === status) {
+			await session.abortTransaction();
+			return res.status(400).json({ success: false, message: `Record is already marked ${status}` });
 		}
 
+		const before = recordState(record);
+		await Student.updateOne({ _id: record.student }, { $inc: changeIncrements(record.status, status) }, { session });
+		await Attendance.updateOne({ _id: record._id }, { $set: { status } }, { session });
+		await AttendanceAudit.create(
+			[
+				{
+					attendance: record._id,
+					student: record.student,
+					action: 'update',
+					before,
+					after: { ...before, status },
+					reason: reason.trim(),
+					changedBy: req.user.id,
+					changedByModel: req.user.role === 'Admin' ? 'Admin' : 'Teacher',
+				},
+			],
+			{ session }
+		);
+
 		await session.commitTransaction();
 
+		await Student.recomputeRisk([record.student]).catch((err) => console.error('Risk recompute error:', err));
+		await refreshEarlyWarnings([record.student]).catch((err) => console.error('Early warning error:', err));
+
 		res.json({
 			success: true,
-			message: `Attendance marked for ${attendanceEntries.length} student(s)`,
-			data: {
-				markedCount: attendanceEntries.length,
-				date: today.toISOString().split('T')[0],
-			},
+			message: `Attendance changed from ${before.status} to ${status}`,
+			data: { id: record._id, before, after: { ...before, status } },
 		});
 	} catch (err) {
 		await session.abortTransaction();
-		console.error('Attendance Upload Error:', err);
-		res.status(500).json({
-			success: false,
-			message: 'Server error during attendance upload',
-			error: err.message,
-		});
+		console.error('Attendance Correction Error:', err);
+		res.status(500).json({ success: false, message: 'Server error during attendance correction' });
+	} finally {
+		session.endSession();
+	}
+});
+
+// DELETE /api/attendance/records/:id  { reason }
+// → Remove a record that should never have been marked and reverse its counters
+router.delete('/records/:id', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const reason = req.body?.reason;
+
+	if (!reason?.trim()) {
+		return res.status(400).json({ success: false, message: 'A reason is required' });
+	}
+
+	const session = await Student.startSession();
+	session.startTransaction();
+
+	try {
+		const record = await Attendance.findById(req.params.id).session(session);
+		if (!record) {
+			await session.abortTransaction();
+			return res.status(404).json({ success: false, message: 'Attendance record not found' });
+		}
+
+		const student = await Student.findById(record.student).select('department').session(session);
+		if (!student || !canCorrect(req.user, record, student)) {
+			await session.abortTransaction();
+			return res.status(403).json({ success: false, message: 'You cannot delete this attendance record' });
+		}
+
+		const before = recordState(record);
+		await Student.updateOne({ _id: record.student }, { $inc: statusIncrements(record.status, -1) }, { session });
+		await Attendance.deleteOne({ _id: record._id }, { session });
+		await AttendanceAudit.create(
+			[
+				{
+					attendance: record._id,
+					student: record.student,
+					action: 'delete',
+					before,
+					reason: reason.trim(),
+					changedBy: req.user.id,
+					changedByModel: req.user.role === 'Admin' ? 'Admin' : 'Teacher',
+				},
+			],
+			{ session }
+		);
+
+		await session.commitTransaction();
+
+		await Student.recomputeRisk([record.student]).catch((err) => console.error('Risk recompute error:', err));
+		await refreshEarlyWarnings([record.student]).catch((err) => console.error('Early warning error:', err));
+
+		res.json({ success: true, message: 'Attendance record deleted', data: { id: record._id, before } });
+	} catch (err) {
+		await session.abortTransaction();
+		console.error('Attendance Delete Error:', err);
+		res.status(500).json({ success: false, message: 'Server error during attendance deletion' });
 	} finally {
 		session.endSession();
 	}
 });
 
+// GET /api/attendance/audit?studentId=...&attendanceId=...
+// → Correction history (who changed what and when)
+router.get('/audit', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const query = {};
+		if (req.query.studentId) query.student = req.query.studentId;
+		if (req.query.attendanceId) query.attendance = req.query.attendanceId;
+		if (req.user.role === 'Teacher') query.changedBy = req.user.id;
+		// HODs: only their department's students, filtered in the query so the limit applies after it
+		if (req.user.role === 'HOD') {
+			const studentFilter = { department: req.user.department };
+			if (req.query.studentId) studentFilter._id = req.query.studentId;
+			query.student = { $in: await Student.distinct('_id', studentFilter) };
+		}
+
+		const audits = await AttendanceAudit.find(query)
+			.populate('changedBy', 'name employeeId')
+			.populate('student', 'name rollNo department')
+			.sort({ createdAt: -1 })
+			.limit(parseInt(req.query.limit) || 100)
+			.lean();
 
+		res.json({ success: true, count: audits.length, data: audits });
+	} catch (err) {
+		console.error('Attendance Audit Error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
 
 // GET /api/attendance/my-history
 // → Only logged-in student can access their own data
@@ -127,7 +264,7 @@ router.get('/my-history', protect, authorize('student'), async (req, res) => {
 		const studentId = req.user._id; // from protect middleware
 
 		// 1. Get summary from Student document (fast!)
-		const student = await Student.findById(studentId).select('name rollNo department batch semester section attendedClasses totalClasses attendancePercentage presentCount lateCount absentCount');
+		const student = await Student.findById(studentId).select('name rollNo department program batch semester section attendedClasses totalClasses attendancePercentage rawAttendancePercentage presentCount lateCount absentCount excusedCount');
 
 		if (!student) {
 			return res.status(404).json({
@@ -143,6 +280,9 @@ router.get('/my-history', protect, authorize('student'), async (req, res) => {
 			.sort({ date: -1 }) // latest first
 			.lean();
 
+		// Academic calendar over the history window (holidays, exams, terms)
+		const events = attendanceRecords.length > 0 ? await loadCalendar(attendanceRecords[attendanceRecords.length - 1].date, new Date()) : [];
+
 		// 3. Group by date for easy calendar/heatmap display
 		const historyByDate = {};
 		let monthlyStats = {};
@@ -151,17 +291,20 @@ router.get('/my-history', protect, authorize('student'), async (req, res) => {
 			const dateKey = record.date.toISOString().split('T')[0]; // YYYY-MM-DD
 
 			if (!historyByDate[dateKey]) {
+				const day = dayStatus(events, record.date, student.department);
 				historyByDate[dateKey] = {
 					date: dateKey,
+					nonWorkingReason: day.reason, // marked before the day was declared non-working
 					total: 0,
 					present: 0,
 					late: 0,
 					absent: 0,
+					excused: 0,
 					subjects: [],
 				};
 			}
 
-			historyByDate[dateKey].total += 1;
+			if (record.status !== 'excused') historyByDate[dateKey].total += 1;
 			historyByDate[dateKey][record.status] += 1;
 
 			historyByDate[dateKey].subjects.push({
@@ -171,22 +314,39 @@ router.get('/my-history', protect, authorize('student'), async (req, res) => {
 				markedBy: record.createdBy?.name || 'Unknown',
 			});
 
-			// Monthly stats (for charts)
+			// Monthly stats (for charts); non-teaching days do not count
+			if (historyByDate[dateKey].nonWorkingReason) return;
 			const monthKey = dateKey.slice(0, 7); // YYYY-MM
-			if (!monthlyStats[monthKey]) monthlyStats[monthKey] = { present: 0, total: 0 };
-			monthlyStats[monthKey].total += 1;
+			if (!monthlyStats[monthKey]) monthlyStats[monthKey] = { present: 0, late: 0, total: 0 };
+			if (record.status !== 'excused') monthlyStats[monthKey].total += 1;
 			if (record.status === 'present' || record.status === 'late') {
-				monthlyStats[monthKey].present += 1;
+				monthlyStats[monthKey][record.status] += 1;
 			}
 		});
 
+		// Late rule from the student's policy; figures are shown raw and adjusted
+		const policy = await RiskPolicy.resolveFor(student.department, student.program);
+
+		// 4. Holidays / exam periods in the history window, so the heatmap can grey them out
+		const nonWorkingDays =
+			attendanceRecords.length > 0
+				? events
+						.filter((e) => NON_WORKING_TYPES.includes(e.type) && (!e.department || e.department === student.department))
+						.filter((e) => overlaps(e, attendanceRecords[attendanceRecords.length - 1].date, new Date()))
+						.map((e) => ({ title: e.title, type: e.type, from: calendarDateKey(e.startDate), to: calendarDateKey(e.endDate) }))
+				: [];
+
 		// Convert monthlyStats to array
 		const monthlyData = Object.keys(monthlyStats)
 			.sort()
-			.map((month) => ({
-				month,
-				percentage: monthlyStats[month].total > 0 ? Math.round((monthlyStats[month].present / monthlyStats[month].total) * 100) : 0,
-			}));
+			.map((month) => {
+				const figures = attendanceFigures(monthlyStats[month], policy.attendance);
+				return {
+					month,
+					percentage: Math.round(figures.adjusted.percentage),
+					rawPercentage: Math.round(figures.raw.percentage),
+				};
+			});
 
 		res.json({
 			success: true,
@@ -201,12 +361,16 @@ router.get('/my-history', protect, authorize('student'), async (req, res) => {
 						attendedClasses: student.attendedClasses,
 						totalClasses: student.totalClasses,
 						attendancePercentage: student.attendancePercentage,
+						rawAttendancePercentage: student.rawAttendancePercentage,
+						lateRule: describeLateRule(policy.attendance),
 						present: student.presentCount,
 						late: student.lateCount,
 						absent: student.absentCount,
+						excused: student.excusedCount,
 					},
 				},
 				monthlyTrend: monthlyData,
+				nonWorkingDays,
 				dailyHistory: Object.values(historyByDate).reverse(), // oldest first for timeline
 			},
 		});
@@ -215,4 +379,63 @@ router.get('/my-history', protect, authorize('student'), async (req, res) => {
 		res.status(500).json({ success: false, message: 'Server error' });
 	}
 });
+
+// GET /api/attendance/my-planner?target=80
+// → How many classes the student must attend / can still miss, overall and per subject
+router.get('/my-planner', protect, authorize('student'), async (req, res) => {
+	try {
+		const student = await Student.findById(req.user._id).select('name rollNo department program attendedClasses totalClasses lateCount');
+
+		if (!student) {
+			return res.status(404).json({
+				success: false,
+				message: 'Student not found',
+			});
+		}
+
+		// Default target = the minimum configured in the student's risk policy
+		const policy = await RiskPolicy.resolveFor(student.department, student.program);
+		const requested = parseFloat(req.query.target);
+		const target = requested > 0 && requested <= 100 ? requested : policy.attendance.minimum;
+
+		const subjectStats = await Attendance.aggregate([
+			{ $match: { student: student._id } },
+			{
+				$group: {
+					_id: '$subjectCode',
+					subjectName: { $first: '$subjectName' },
+					total: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 0, 1] } },
+					present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+					late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+				},
+			},
+			{ $sort: { _id: 1 } },
+		]);
+
+		// Attended counts apply the policy's late rule, so the plan matches the eligibility report
+		const rule = policy.attendance;
+		const subjects = subjectStats.map((s) => ({
+			subjectCode: s._id || 'General',
+			subjectName: s.subjectName || 'N/A',
+			...planAttendance(adjustedAttended(s.present, s.late, rule), s.total, target),
+		}));
+		const late = student.lateCount || 0;
+
+		res.json({
+			success: true,
+			data: {
+				name: student.name,
+				rollNo: student.rollNo,
+				target,
+				lateRule: describeLateRule(rule),
+				overall: planAttendance(adjustedAttended(student.attendedClasses - late, late, rule), student.totalClasses, target),
+				subjects,
+				atRiskSubjects: subjects.filter((s) => !s.eligible).map((s) => s.subjectCode),
+			},
+		});
+	} catch (err) {
+		console.error('Attendance Planner Error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
 module.exports = router;
@@ -0,0 +1,156 @@
+// routes/attendanceRegister.js
+// CSV registers (roll numbers × dates). Import goes through the same validation as
+// POST /api/attendance/upload; export rebuilds the grid from Attendance records.
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const RiskPolicy = require('../models/RiskPolicy');
+const Timetable = require('../models/Timetable');
+const { MODES, applyAttendanceEntries } = require('../utils/attendanceUpload');
+const { parseRegister, resolveColumnSlots, registerToEntries, buildRegister } = require('../utils/attendanceRegister');
+const { canMarkSlot } = require('../utils/timetable');
+const { refreshEarlyWarnings } = require('../utils/earlyWarning');
+const { toCsv } = require('../utils/csv');
+const { describeLateRule } = require('../utils/latePolicy');
+
+// POST /api/attendance/register/import?subjectCode=CS501&semester=5&section=A&period=2&mode=report&dryRun=true
+// Body: text/csv register, or JSON { csv, subjectCode, semester, section, period? }
+// Each date column is recorded against the subject's timetable slot on that weekday (period
+// narrows it when the subject meets more than once a day), so imported marks line up with
+// marks taken through the timetable. Same modes as /upload; in strict mode an unreadable
+// cell also blocks the whole import.
+router.post('/import', protect, authorize('Teacher', 'HOD'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+	const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+	const subjectCode = (req.query.subjectCode || req.body?.subjectCode)?.toString().trim().toUpperCase();
+	const semester = Number(req.query.semester || req.body?.semester);
+	const section = (req.query.section || req.body?.section)?.toString().trim().toUpperCase();
+	const period = Number(req.query.period || req.body?.period) || null;
+	const mode = req.query.mode ? req.query.mode.toString() : 'strict';
+	const requestedDryRun = req.query.dryRun === 'true';
+
+	if (!MODES.includes(mode)) {
+		return res.status(400).json({ success: false, message: `mode must be one of: ${MODES.join(', ')}` });
+	}
+	if (!csv || !subjectCode || !semester || !section) {
+		return res.status(400).json({ success: false, message: 'A CSV register, subjectCode, semester and section are required' });
+	}
+
+	try {
+		const register = parseRegister(csv);
+		if (register.error) return res.status(400).json({ success: false, message: register.error });
+
+		const slotQuery = { department: req.user.department, subjectCode, semester, section };
+		if (period) slotQuery.period = period;
+		const slots = await Timetable.find(slotQuery).lean();
+		const actor = { id: req.user.id, role: req.user.role, department: req.user.department };
+		if (!slots.some((s) => canMarkSlot(s, actor))) {
+			return res.status(403).json({ success: false, message: `You do not teach ${subjectCode} to semester ${semester} section ${section}${period ? ` in period ${period}` : ''}` });
+		}
+
+		const rollNos = [...new Set(register.rows.map((r) => r.rollNo).filter(Boolean))];
+		const students = await Student.find({ rollNo: { $in: rollNos }, department: req.user.department, semester, section }).select('rollNo').lean();
+		const studentIds = new Map(students.map((s) => [s.rollNo, s._id.toString()]));
+
+		const columnSlots = resolveColumnSlots(register.dates, slots);
+		const { entries, meta, cellErrors } = registerToEntries(register, studentIds, columnSlots);
+		if (entries.length === 0) {
+			return res.status(400).json({ success: false, message: 'No attendance marks found in the register', data: { cellErrors } });
+		}
+
+		// Strict imports with bad cells are only previewed
+		const dryRun = requestedDryRun || (mode === 'strict' && cellErrors.length > 0);
+		const report = await applyAttendanceEntries(entries, {
+			mode,
+			actor,
+			dryRun,
+		});
+		const { summary } = report;
+
+		const results = report.results.map((r) => ({ ...meta[r.index], status: r.status, result: r.result, reason: r.reason }));
+		const data = {
+			mode,
+			dryRun,
+			subjectCode,
+			semester,
+			section,
+			dates: register.dates.map((d, i) => ({ header: d.header, period: columnSlots[i].slot?.period ?? null, error: columnSlots[i].error || null })),
+			ignoredColumns: register.ignoredColumns,
+			summary: { ...summary, cellErrors: cellErrors.length },
+			cellErrors,
+			results,
+		};
+
+		if (mode === 'strict' && (cellErrors.length > 0 || summary.rejected > 0 || summary.duplicate > 0)) {
+			const conflictOnly = cellErrors.length === 0 && summary.rejected === 0;
+			return res.status(conflictOnly ? 409 : 400).json({
+				success: false,
+				message: conflictOnly
+					? 'Attendance already marked for some cells. Retry with ?mode=report or ?mode=upsert.'
+					: 'Invalid register: nothing was saved. Fix the listed cells or retry with ?mode=report.',
+				data,
+			});
+		}
+
+		if (report.affectedStudents.length > 0 && !dryRun) {
+			await Student.recomputeRisk(report.affectedStudents).catch((err) => console.error('Risk recompute error:', err));
+			await refreshEarlyWarnings(report.affectedStudents).catch((err) => console.error('Early warning error:', err));
+		}
+
+		res.json({
+			success: true,
+			message: `${dryRun ? 'Preview: ' : ''}${summary.accepted} accepted, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.duplicate} duplicate, ${summary.rejected + cellErrors.length} rejected`,
+			data,
+		});
+	} catch (err) {
+		console.error('Register import error:', err);
+		res.status(500).json({ success: false, message: 'Server error during register import' });
+	}
+});
+
+// GET /api/attendance/register/export?subjectCode=CS501&semester=5&section=A&from=...&to=...&department=...&format=json
+router.get('/export', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const department = req.user.role === 'Admin' ? req.query.department?.toString() : req.user.department;
+		const subjectCode = req.query.subjectCode?.toString().trim().toUpperCase();
+		const semester = Number(req.query.semester);
+		const section = req.query.section?.toString().toUpperCase();
+
+		if (!department || !subjectCode || !semester || !section) {
+			return res.status(400).json({ success: false, message: 'department, subjectCode, semester and section are required' });
+		}
+
+		const students = await Student.find({ department, semester, section }).select('name rollNo program').sort('rollNo').lean();
+		if (students.length === 0) {
+			return res.status(404).json({ success: false, message: 'No students found for this section' });
+		}
+
+		const match = { student: { $in: students.map((s) => s._id) }, subjectCode };
+		if (req.query.from || req.query.to) {
+			match.date = {};
+			if (req.query.from) match.date.$gte = new Date(req.query.from);
+			if (req.query.to) match.date.$lte = new Date(req.query.to);
+		}
+		const records = await Attendance.find(match).select('student date status period').lean();
+
+		const policy = await RiskPolicy.resolveFor(department, students[0].program);
+		const register = buildRegister(students, records, policy.attendance);
+
+		if (req.query.format === 'json') {
+			return res.json({
+				success: true,
+				data: { department, subjectCode, semester, section, lateRule: describeLateRule(policy.attendance), dates: register.dates, students: register.rows },
+			});
+		}
+
+		res.setHeader('Content-Type', 'text/csv');
+		res.setHeader('Content-Disposition', `attachment; filename="register-${subjectCode}-sem${semester}-${section}.csv"`);
+		res.send(toCsv(register.rows, register.columns));
+	} catch (err) {
+		console.error('Register export error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,368 @@
+// routes/attendanceSession.js
+// Student self check-in: teacher opens a session for a timetable slot, students submit the
+// rotating code (or scan the QR payload), teacher reviews and closes → Attendance records.
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const AttendanceSession = require('../models/AttendanceSession');
+const Timetable = require('../models/Timetable');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const Substitution = require('../models/Substitution');
+const { dayNameOf, canMarkSlot } = require('../utils/timetable');
+const { loadCalendar, dayStatus } = require('../utils/calendar');
+const { currentCode, verifyCode, signQrPayload, qrSessionId, verifyQrPayload } = require('../utils/checkinCode');
+const { applyAttendanceEntries } = require('../utils/attendanceUpload');
+const { refreshEarlyWarnings } = require('../utils/earlyWarning');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5; // wrong codes per student per session before check-in locks
+
+const isIntBetween = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+
+const rosterQuery = (session) => {
+	const query = { department: session.department, semester: session.semester, section: session.section };
+	if (session.batch) query.batch = session.batch;
+	return query;
+};
+
+// Only the teacher who opened the session (or the department's HOD) may manage it
+const canManage = (user, session) =>
+	(user.role === 'HOD' && session.department === user.department) || session.teacher.toString() === user.id.toString();
+
+// POST /api/attendance/sessions  { timetableId, durationMinutes?, lateAfterMinutes?, rotateSeconds? }
+router.post('/', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const { timetableId, durationMinutes = 10, lateAfterMinutes = 5, rotateSeconds = 30 } = req.body;
+
+	if (!timetableId) {
+		return res.status(400).json({ success: false, message: 'timetableId is required' });
+	}
+	if (!isIntBetween(durationMinutes, 1, 180)) {
+		return res.status(400).json({ success: false, message: 'durationMinutes must be a whole number from 1 to 180' });
+	}
+	if (!isIntBetween(lateAfterMinutes, 0, durationMinutes)) {
+		return res.status(400).json({ success: false, message: 'lateAfterMinutes must be a whole number from 0 to durationMinutes' });
+	}
+	if (!isIntBetween(rotateSeconds, 10, 300)) {
+		return res.status(400).json({ success: false, message: 'rotateSeconds must be a whole number from 10 to 300' });
+	}
+
+	try {
+		const slot = await Timetable.findById(timetableId);
+		if (!slot) return res.status(404).json({ success: false, message: 'Timetable slot not found' });
+
+		const now = new Date();
+		const today = new Date(now);
+		today.setHours(0, 0, 0, 0);
+
+		if (slot.day !== dayNameOf(today)) {
+			return res.status(400).json({ success: false, message: `This slot is on ${slot.day}, not today` });
+		}
+		const substitution = await Substitution.findOne({ timetable: slot._id, date: today }).lean();
+		if (!canMarkSlot(slot, req.user, substitution)) {
+			return res.status(403).json({ success: false, message: 'You are not scheduled for this slot' });
+		}
+
+		const slotTeacher = await Teacher.findById(slot.teacher).select('department');
+		const department = slotTeacher?.department || req.user.department;
+
+		const calendar = dayStatus(await loadCalendar(today, today), today, department);
+		if (!calendar.isWorkingDay) {
+			return res.status(400).json({ success: false, message: `Not a working day: ${calendar.reason}` });
+		}
+
+		if (await Attendance.exists({ timetable: slot._id, date: today })) {
+			return res.status(409).json({ success: false, message: 'Attendance for this period is already marked' });
+		}
+		if (await AttendanceSession.exists({ timetable: slot._id, date: today })) {
+			return res.status(409).json({ success: false, message: 'A check-in session already exists for this period today' });
+		}
+
+		const session = await AttendanceSession.create({
+			timetable: slot._id,
+			teacher: req.user.id,
+			date: today,
+			department,
+			subjectCode: slot.subjectCode,
+			subjectName: slot.subjectName,
+			period: slot.period,
+			semester: slot.semester,
+			section: slot.section,
+			batch: slot.batch,
+			rotateSeconds,
+			lateAfter: new Date(now.getTime() + lateAfterMinutes * MINUTE_MS),
+			expiresAt: new Date(now.getTime() + durationMinutes * MINUTE_MS),
+		});
+
+		res.status(201).json({
+			success: true,
+			message: 'Check-in session opened',
+			data: {
+				sessionId: session._id,
+				subjectCode: session.subjectCode,
+				period: session.period,
+				section: session.section,
+				lateAfter: session.lateAfter,
+				expiresAt: session.expiresAt,
+			},
+		});
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Open check-in session error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/attendance/sessions/active → open sessions for the logged-in student's section
+router.get('/active', protect, authorize('student'), async (req, res) => {
+	try {
+		const now = new Date();
+		const sessions = await AttendanceSession.find({
+			status: 'open',
+			expiresAt: { $gt: now },
+			department: req.user.department,
+			semester: req.user.semester,
+			section: req.user.section?.toUpperCase(),
+		})
+			.select('subjectCode subjectName period lateAfter expiresAt submissions')
+			.lean();
+
+		res.json({
+			success: true,
+			data: sessions.map((s) => ({
+				sessionId: s._id,
+				subjectCode: s.subjectCode,
+				subjectName: s.subjectName,
+				period: s.period,
+				lateAfter: s.lateAfter,
+				expiresAt: s.expiresAt,
+				checkedIn: s.submissions.some((sub) => sub.student.toString() === req.user.id.toString()),
+			})),
+		});
+	} catch (err) {
+		console.error('Active check-in sessions error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/attendance/sessions/checkin  { code, sessionId? } or { token } (QR)
+// A wrong code counts against every session it was tried on; after MAX_CODE_ATTEMPTS a student
+// can no longer check in to that session (the teacher can still mark them with an override).
+router.post('/checkin', protect, authorize('student'), async (req, res) => {
+	const { code, sessionId, token } = req.body;
+
+	if (!code && !token) {
+		return res.status(400).json({ success: false, message: 'code or token is required' });
+	}
+
+	try {
+		const now = new Date();
+		const base = { status: 'open', expiresAt: { $gt: now }, department: req.user.department, semester: req.user.semester, section: req.user.section?.toUpperCase() };
+
+		// Candidate sessions for this student; the code decides which one
+		let candidates;
+		let submittedCode = code;
+		if (token) {
+			const sid = qrSessionId(token);
+			const qrSession = mongoose.isValidObjectId(sid) ? await AttendanceSession.findOne({ ...base, _id: sid }).select('+secret +failedAttempts') : null;
+			const payload = qrSession && verifyQrPayload(token, qrSession.secret);
+			if (!payload) return res.status(400).json({ success: false, message: 'QR code expired or invalid' });
+			candidates = [qrSession];
+			submittedCode = payload.code;
+		} else {
+			if (sessionId && !mongoose.isValidObjectId(sessionId)) return res.status(400).json({ success: false, message: 'Invalid sessionId' });
+			candidates = await AttendanceSession.find(sessionId ? { ...base, _id: sessionId } : base).select('+secret +failedAttempts');
+		}
+
+		const studentKey = req.user.id.toString();
+		const open = candidates.filter((s) => (s.failedAttempts?.get(studentKey) || 0) < MAX_CODE_ATTEMPTS);
+		if (candidates.length > 0 && open.length === 0) {
+			return res.status(429).json({ success: false, message: 'Too many wrong codes. Ask your teacher to mark your attendance.' });
+		}
+
+		const session = open.find((s) => verifyCode(s.secret, s.rotateSeconds, submittedCode, now.getTime()));
+		if (!session) {
+			if (open.length > 0) {
+				await AttendanceSession.updateMany({ _id: { $in: open.map((s) => s._id) } }, { $inc: { [`failedAttempts.${studentKey}`]: 1 } });
+			}
+			return res.status(400).json({ success: false, message: 'Invalid or expired code' });
+		}
+
+		if (session.submissions.some((s) => s.student.toString() === req.user.id.toString())) {
+			return res.status(409).json({ success: false, message: 'Already checked in' });
+		}
+
+		const status = now > session.lateAfter ? 'late' : 'present';
+		// Atomic push guarded against a concurrent double submit
+		const updated = await AttendanceSession.updateOne(
+			{ _id: session._id, status: 'open', 'submissions.student': { $ne: req.user._id } },
+			{ $push: { submissions: { student: req.user._id, status, submittedAt: now } } }
+		);
+		if (updated.modifiedCount === 0) {
+			return res.status(409).json({ success: false, message: 'Already checked in or session closed' });
+		}
+
+		res.json({
+			success: true,
+			message: `Checked in as ${status}`,
+			data: { sessionId: session._id, subjectCode: session.subjectCode, period: session.period, status },
+		});
+	} catch (err) {
+		console.error('Check-in error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/attendance/sessions/:id/code → current rotating code + QR payload (teacher screen)
+router.get('/:id/code', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	try {
+		const session = await AttendanceSession.findById(req.params.id).select('+secret');
+		if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+		if (!canManage(req.user, session)) return res.status(403).json({ success: false, message: 'Access denied' });
+
+		if (session.status !== 'open' || session.expiresAt <= new Date()) {
+			return res.status(400).json({ success: false, message: 'Session is no longer accepting check-ins' });
+		}
+
+		const { code, expiresIn } = currentCode(session.secret, session.rotateSeconds);
+
+		res.json({
+			success: true,
+			data: {
+				code,
+				expiresIn,
+				qrPayload: signQrPayload(session._id, code, session.rotateSeconds, session.secret),
+				checkedIn: session.submissions.length,
+			},
+		});
+	} catch (err) {
+		console.error('Check-in code error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/attendance/sessions/:id → roster with who has checked in
+router.get('/:id', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	try {
+		const session = await AttendanceSession.findById(req.params.id).lean();
+		if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+		if (!canManage(req.user, session)) return res.status(403).json({ success: false, message: 'Access denied' });
+
+		const students = await Student.find(rosterQuery(session)).select('name rollNo').sort('rollNo').lean();
+		const submitted = new Map(session.submissions.map((s) => [s.student.toString(), s]));
+
+		res.json({
+			success: true,
+			data: {
+				session: {
+					_id: session._id,
+					subjectCode: session.subjectCode,
+					period: session.period,
+					section: session.section,
+					status: session.status,
+					lateAfter: session.lateAfter,
+					expiresAt: session.expiresAt,
+				},
+				roster: students.map((st) => {
+					const sub = submitted.get(st._id.toString());
+					return {
+						_id: st._id,
+						name: st.name,
+						rollNo: st.rollNo,
+						status: sub ? sub.status : 'absent',
+						submittedAt: sub?.submittedAt || null,
+					};
+				}),
+			},
+		});
+	} catch (err) {
+		console.error('Get check-in session error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/attendance/sessions/:id/close  { overrides?: [{ studentId, status }] }
+// → Writes one Attendance record per roster student; anyone who didn't check in is absent.
+// The entries are checked first: if any would be rejected the session stays open (check-ins
+// kept) and the rejections are returned, so nothing is lost to a half-written close.
+router.post('/:id/close', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const overrides = Array.isArray(req.body?.overrides) ? req.body.overrides : [];
+
+	try {
+		const session = await AttendanceSession.findById(req.params.id);
+		if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+		if (!canManage(req.user, session)) return res.status(403).json({ success: false, message: 'Access denied' });
+		if (session.status === 'closed') {
+			return res.status(400).json({ success: false, message: 'Session already closed' });
+		}
+
+		// Stop new check-ins before building the roster; reopened below if the records cannot be written
+		const closing = await AttendanceSession.findOneAndUpdate(
+			{ _id: session._id, status: 'open' },
+			{ $set: { status: 'closed', closedAt: new Date() } },
+			{ new: true }
+		);
+		if (!closing) return res.status(400).json({ success: false, message: 'Session already closed' });
+		const reopen = () => AttendanceSession.updateOne({ _id: session._id }, { $set: { status: 'open' }, $unset: { closedAt: 1 } });
+
+		const students = await Student.find(rosterQuery(closing)).select('_id').lean();
+		const statusFor = new Map(closing.submissions.map((s) => [s.student.toString(), s.status]));
+		for (const o of overrides) {
+			if (o?.studentId && ['present', 'absent', 'late'].includes(o.status)) statusFor.set(o.studentId.toString(), o.status);
+		}
+
+		const entries = students.map((st) => ({
+			studentId: st._id,
+			status: statusFor.get(st._id.toString()) || 'absent',
+			timetableId: session.timetable,
+			date: session.date,
+		}));
+
+		const actor = { id: req.user.id, role: req.user.role, department: req.user.department };
+		let report;
+		try {
+			const preview = await applyAttendanceEntries(entries, { mode: 'report', actor, dryRun: true });
+			if (preview.summary.rejected > 0) {
+				await reopen();
+				return res.status(400).json({
+					success: false,
+					message: `${preview.summary.rejected} record(s) would be rejected: the session is still open. Fix them (or use overrides) and close again.`,
+					data: { summary: preview.summary, results: preview.results.filter((r) => r.result === 'rejected') },
+				});
+			}
+			report = await applyAttendanceEntries(entries, { mode: 'report', actor });
+		} catch (err) {
+			await reopen();
+			throw err;
+		}
+		// Something changed between the check and the write: keep the session open if nothing landed
+		if (report.summary.accepted === 0 && report.summary.rejected > 0) {
+			await reopen();
+			return res.status(400).json({
+				success: false,
+				message: 'No records could be written: the session is still open',
+				data: { summary: report.summary, results: report.results.filter((r) => r.result === 'rejected') },
+			});
+		}
+
+		if (report.affectedStudents.length > 0) {
+			await Student.recomputeRisk(report.affectedStudents).catch((err) => console.error('Risk recompute error:', err));
+			await refreshEarlyWarnings(report.affectedStudents).catch((err) => console.error('Early warning error:', err));
+		}
+
+		res.json({
+			success: true,
+			message: `Session closed: ${report.summary.accepted} record(s) written`,
+			data: { summary: report.summary, results: report.results },
+		});
+	} catch (err) {
+		console.error('Close check-in session error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
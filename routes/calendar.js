@@ -0,0 +1,182 @@
+// routes/calendar.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const CalendarEvent = require('../models/CalendarEvent');
+const { overlaps, loadCalendar, dayStatus, parseIcs } = require('../utils/calendar');
+
+const TYPES = ['holiday', 'exam', 'term', 'event'];
+
+// Titles that name a teaching term itself ("Semester 5", "Term 2", "Even Semester") rather than
+// something happening in one ("Semester fee due", "Mid-term break")
+const TERM_TITLE = /^((odd|even|autumn|spring|summer|winter|fall|first|second|third)\s+)?(semester|term)(\s+(\d+|[ivx]+))?$/i;
+
+// Event type from ICS data: an explicit category (holiday, exam, term, event) wins; otherwise a
+// cautious guess from the title, falling back to the import default. A term changes working
+// days for the whole department, so it is only ever taken from a category or a title like the above.
+const typeFromIcs = (event, fallback) => {
+	const category = (event.categories || []).find((c) => TYPES.includes(c));
+	if (category) return category;
+	const title = event.title.toLowerCase();
+	if (TERM_TITLE.test(event.title.trim())) return 'term';
+	if (/\bexam(s|inations?)?\b/.test(title)) return 'exam';
+	if (/\b(holiday|vacation)\b/.test(title)) return 'holiday';
+	return fallback;
+};
+
+// GET /api/calendar?from=2025-01-01&to=2025-06-30&department=...
+router.get('/', protect, async (req, res) => {
+	try {
+		const from = req.query.from ? new Date(req.query.from) : new Date(new Date().getFullYear(), 0, 1);
+		const to = req.query.to ? new Date(req.query.to) : new Date(new Date().getFullYear(), 11, 31);
+		const department = req.query.department?.toString() || req.user.department;
+
+		const events = (await loadCalendar(from, to)).filter((e) => (!e.department || e.department === department) && overlaps(e, from, to));
+
+		res.json({ success: true, count: events.length, data: events });
+	} catch (err) {
+		console.error('Calendar list error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/calendar/day?date=2025-01-26&department=... → is it a working day?
+router.get('/day', protect, async (req, res) => {
+	try {
+		const date = req.query.date ? new Date(req.query.date) : new Date();
+		if (isNaN(date.getTime())) return res.status(400).json({ success: false, message: 'Invalid date' });
+
+		const department = req.query.department?.toString() || req.user.department;
+		const events = await loadCalendar(date, date);
+
+		res.json({ success: true, data: dayStatus(events, date, department) });
+	} catch (err) {
+		console.error('Calendar day error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/calendar  { title, type, startDate, endDate?, department?, description? }
+router.post('/', protect, authorize('Admin'), async (req, res) => {
+	const { title, type, startDate, endDate, department, description } = req.body;
+
+	if (!title || !TYPES.includes(type) || !startDate) {
+		return res.status(400).json({ success: false, message: `title, startDate and type (${TYPES.join(', ')}) are required` });
+	}
+
+	try {
+		const event = await CalendarEvent.create({
+			title,
+			type,
+			startDate: new Date(startDate),
+			endDate: new Date(endDate || startDate),
+			department: department || null,
+			description,
+			createdBy: req.user.id,
+		});
+
+		res.status(201).json({ success: true, message: 'Calendar event created', data: event });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Calendar create error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/calendar/import  (text/calendar body, or JSON { ics, type?, department? })
+// Re-importing the same file updates events by UID instead of duplicating them.
+router.post('/import', protect, authorize('Admin'), express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' }), async (req, res) => {
+	const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+	const requestedType = req.query.type || req.body?.type;
+	const defaultType = TYPES.includes(requestedType) ? requestedType : 'holiday';
+	const department = req.query.department || req.body?.department || null;
+
+	if (!ics || !ics.includes('BEGIN:VCALENDAR')) {
+		return res.status(400).json({ success: false, message: 'A valid ICS calendar is required' });
+	}
+
+	try {
+		const parsed = parseIcs(ics);
+		let created = 0;
+		let updated = 0;
+		const skipped = [];
+
+		for (const e of parsed) {
+			const doc = {
+				title: e.title,
+				type: typeFromIcs(e, defaultType),
+				startDate: e.startDate,
+				endDate: e.endDate,
+				department,
+				description: e.description,
+				source: 'ics',
+				createdBy: req.user.id,
+			};
+
+			try {
+				if (e.uid) {
+					const existing = await CalendarEvent.findOne({ uid: e.uid });
+					if (existing) {
+						existing.set(doc);
+						await existing.save();
+						updated++;
+						continue;
+					}
+				}
+				await CalendarEvent.create({ ...doc, uid: e.uid || null });
+				created++;
+			} catch (err) {
+				skipped.push({ uid: e.uid || null, title: e.title, reason: err.message });
+			}
+		}
+
+		res.json({
+			success: true,
+			message: `Imported ${created} new and ${updated} updated event(s)`,
+			data: { parsed: parsed.length, created, updated, skipped },
+		});
+	} catch (err) {
+		console.error('Calendar import error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// PUT /api/calendar/:id
+router.put('/:id', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const event = await CalendarEvent.findById(req.params.id);
+		if (!event) return res.status(404).json({ success: false, message: 'Calendar event not found' });
+
+		for (const field of ['title', 'type', 'department', 'description']) {
+			if (req.body[field] !== undefined) event[field] = req.body[field];
+		}
+		if (req.body.startDate) event.startDate = new Date(req.body.startDate);
+		if (req.body.endDate) event.endDate = new Date(req.body.endDate);
+
+		await event.save();
+		res.json({ success: true, message: 'Calendar event updated', data: event });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Calendar update error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// DELETE /api/calendar/:id
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const event = await CalendarEvent.findByIdAndDelete(req.params.id);
+		if (!event) return res.status(404).json({ success: false, message: 'Calendar event not found' });
+
+		res.json({ success: true, message: 'Calendar event deleted' });
+	} catch (err) {
+		console.error('Calendar delete error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
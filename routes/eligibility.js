@@ -0,0 +1,237 @@
+// routes/eligibility.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const Timetable = require('../models/Timetable');
+const RiskPolicy = require('../models/RiskPolicy');
+const EligibilityAdjustment = require('../models/EligibilityAdjustment');
+const { evaluateSubject } = require('../utils/eligibility');
+const { toCsv } = require('../utils/csv');
+const { describeLateRule } = require('../utils/latePolicy');
+const { currentTerm } = require('../utils/calendar');
+
+const CSV_COLUMNS = [
+	{ key: 'rollNo', header: 'Roll No' },
+	{ key: 'name', header: 'Name' },
+	{ key: 'subjectCode', header: 'Subject Code' },
+	{ key: 'subjectName', header: 'Subject Name' },
+	{ key: 'rawAttended', header: 'Attended' },
+	{ key: 'late', header: 'Late' },
+	{ key: 'total', header: 'Total' },
+	{ key: 'excused', header: 'Excused' },
+	{ key: 'rawPercentage', header: 'Raw %' },
+	{ key: 'percentage', header: 'Attendance % (late rule)' },
+	{ key: 'condonedClasses', header: 'Condoned Classes' },
+	{ key: 'adjustedPercentage', header: 'After Condonation %' },
+	{ key: 'status', header: 'Status' },
+	{ key: 'reason', header: 'Remarks' },
+];
+
+// GET /api/eligibility/report?department=...&semester=5&section=A&batch=...&from=...&to=...&format=csv&detainedOnly=true
+// Without from/to the window is the department's current term (when the calendar defines one).
+// Subjects are the section's timetabled ones; records for other subjects only count when
+// nothing is timetabled.
+router.get('/report', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		// Teachers and HODs only see their own department
+		const department = req.user.role === 'Admin' ? req.query.department?.toString() : req.user.department;
+		const semester = Number(req.query.semester);
+		const section = req.query.section?.toString().toUpperCase();
+
+		if (!department || !semester || !section) {
+			return res.status(400).json({ success: false, message: 'department, semester and section are required' });
+		}
+
+		const studentQuery = { department, semester, section };
+		if (req.query.batch) studentQuery.batch = req.query.batch.toString();
+		const students = await Student.find(studentQuery).select('name rollNo program batch').sort('rollNo').lean();
+
+		if (students.length === 0) {
+			return res.status(404).json({ success: false, message: 'No students found for this section' });
+		}
+
+		const policy = await RiskPolicy.resolveFor(department, students[0].program);
+		const { minimum, condonationLimit, lateMode, lateCredit, latesPerAbsence } = policy.attendance;
+		const rules = { minimum, condonationLimit, lateMode, lateCredit, latesPerAbsence, lateRule: describeLateRule(policy.attendance) };
+
+		// Subjects = everything timetabled for the class (slots without a batch apply to every batch)
+		const batches = [...new Set(students.map((s) => s.batch).filter(Boolean))];
+		const slots = await Timetable.find({ department, semester, section, batch: { $in: [...batches, null] } })
+			.select('subjectCode subjectName')
+			.lean();
+		const subjects = new Map();
+		slots.forEach((s) => subjects.set(s.subjectCode, s.subjectName || s.subjectCode));
+
+		const match = { student: { $in: students.map((s) => s._id) } };
+		if (subjects.size > 0) match.subjectCode = { $in: [...subjects.keys()] };
+		let term = null;
+		if (req.query.from || req.query.to) {
+			match.date = {};
+			if (req.query.from) match.date.$gte = new Date(req.query.from);
+			if (req.query.to) match.date.$lte = new Date(req.query.to);
+		} else if ((term = await currentTerm(department))) {
+			match.date = { $gte: term.startDate, $lte: term.endDate };
+		}
+
+		const stats = await Attendance.aggregate([
+			{ $match: match },
+			{
+				$group: {
+					_id: { student: '$student', subjectCode: '$subjectCode' },
+					subjectName: { $first: '$subjectName' },
+					total: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 0, 1] } },
+					attended: { $sum: { $cond: [{ $in: ['$status', ['present', 'late']] }, 1, 0] } },
+					late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+					absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+					excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } },
+				},
+			},
+		]);
+
+		// No timetable yet → subjects with records in the window
+		stats.forEach((s) => {
+			if (s._id.subjectCode && !subjects.has(s._id.subjectCode)) subjects.set(s._id.subjectCode, s.subjectName || s._id.subjectCode);
+		});
+
+		const statMap = new Map(stats.map((s) => [`${s._id.student}|${s._id.subjectCode}`, s]));
+
+		const adjustments = await EligibilityAdjustment.find({ student: { $in: students.map((s) => s._id) }, semester }).sort({ createdAt: 1 }).lean();
+
+		const report = students.map((st) => {
+			const own = adjustments.filter((a) => a.student.toString() === st._id.toString());
+			const subjectRows = [...subjects.entries()].sort().map(([subjectCode, subjectName]) => {
+				const s = statMap.get(`${st._id}|${subjectCode}`) || { total: 0, attended: 0, late: 0, absent: 0, excused: 0 };
+				const applicable = own.filter((a) => !a.subjectCode || a.subjectCode === subjectCode);
+				return { subjectCode, subjectName, ...evaluateSubject(s, applicable, rules) };
+			});
+			return {
+				_id: st._id,
+				rollNo: st.rollNo,
+				name: st.name,
+				eligible: subjectRows.every((r) => r.status !== 'detained'),
+				subjects: subjectRows,
+			};
+		});
+
+		const detentionList = report.flatMap((st) =>
+			st.subjects
+				.filter((s) => s.status === 'detained')
+				.map((s) => ({ rollNo: st.rollNo, name: st.name, ...s }))
+		);
+
+		if (req.query.format === 'csv') {
+			const rows =
+				req.query.detainedOnly === 'true'
+					? detentionList
+					: report.flatMap((st) => st.subjects.map((s) => ({ rollNo: st.rollNo, name: st.name, ...s })));
+			res.setHeader('Content-Type', 'text/csv');
+			res.setHeader('Content-Disposition', `attachment; filename="eligibility-sem${semester}-${section}.csv"`);
+			return res.send(toCsv(rows, CSV_COLUMNS));
+		}
+
+		res.json({
+			success: true,
+			data: {
+				department,
+				semester,
+				section,
+				rules,
+				window: term ? { term: term.title, from: term.startDate, to: term.endDate } : { from: req.query.from || null, to: req.query.to || null },
+				totalStudents: report.length,
+				detainedStudents: report.filter((s) => !s.eligible).length,
+				students: req.query.detainedOnly === 'true' ? report.filter((s) => !s.eligible) : report,
+				detentionList,
+			},
+		});
+	} catch (err) {
+		console.error('Eligibility report error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/eligibility/adjustments
+// { studentId, type: 'medical', condonedClasses, subjectCode?, reason } or { studentId, type: 'override', decision, subjectCode?, reason }
+router.post('/adjustments', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	const { studentId, semester, subjectCode, type, condonedClasses, decision, reason } = req.body;
+
+	if (!studentId || !type || !reason) {
+		return res.status(400).json({ success: false, message: 'studentId, type and reason are required' });
+	}
+
+	try {
+		const student = await Student.findById(studentId).select('department semester');
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+		if (req.user.role === 'HOD' && student.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'Student is not in your department' });
+		}
+
+		const adjustment = await EligibilityAdjustment.create({
+			student: student._id,
+			semester: semester || student.semester,
+			subjectCode: subjectCode || null,
+			type,
+			condonedClasses: type === 'medical' ? condonedClasses : undefined,
+			decision: type === 'override' ? decision : undefined,
+			reason,
+			approvedBy: req.user.id,
+			approvedByModel: req.user.role === 'Admin' ? 'Admin' : 'Teacher',
+		});
+
+		res.status(201).json({ success: true, message: 'Adjustment recorded', data: adjustment });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Eligibility adjustment error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/eligibility/adjustments?studentId=...&semester=5
+router.get('/adjustments', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	if (!req.query.studentId) {
+		return res.status(400).json({ success: false, message: 'studentId is required' });
+	}
+
+	try {
+		const student = await Student.findById(req.query.studentId).select('department');
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+		if (req.user.role !== 'Admin' && student.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'Student is not in your department' });
+		}
+
+		const query = { student: student._id };
+		if (req.query.semester) query.semester = Number(req.query.semester);
+
+		const adjustments = await EligibilityAdjustment.find(query).populate('approvedBy', 'name').sort({ createdAt: -1 }).lean();
+
+		res.json({ success: true, count: adjustments.length, data: adjustments });
+	} catch (err) {
+		console.error('List eligibility adjustments error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// DELETE /api/eligibility/adjustments/:id
+router.delete('/adjustments/:id', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const adjustment = await EligibilityAdjustment.findById(req.params.id).populate('student', 'department');
+		if (!adjustment) return res.status(404).json({ success: false, message: 'Adjustment not found' });
+
+		if (req.user.role === 'HOD' && adjustment.student?.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'Student is not in your department' });
+		}
+
+		await adjustment.deleteOne();
+		res.json({ success: true, message: 'Adjustment removed' });
+	} catch (err) {
+		console.error('Delete eligibility adjustment error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
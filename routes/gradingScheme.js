@@ -0,0 +1,99 @@
+// routes/gradingScheme.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const GradingScheme = require('../models/GradingScheme');
+const { DEFAULT_SCHEME } = require('../utils/grading');
+
+const SCHEME_KEYS = ['name', 'method', 'maxPoints', 'passMarks', 'absentGrade', 'minClassSize', 'grades', 'notes'];
+
+const scopeOf = (body) => ({
+	department: body.department?.toString().trim() || null,
+	program: body.program?.toString().trim() || null,
+	batch: body.batch?.toString().trim() || null,
+});
+
+const pick = (body) => Object.fromEntries(SCHEME_KEYS.filter((k) => body[k] !== undefined).map((k) => [k, body[k]]));
+
+// GET /api/grading-schemes?department=CSE → active schemes (add ?all=true for deactivated ones)
+router.get('/', protect, authorize('Admin', 'HOD'), async (req, res) => {
+	try {
+		const query = req.query.all === 'true' ? {} : { isActive: true };
+		if (req.query.department) query.department = req.query.department.toString();
+
+		const schemes = await GradingScheme.find(query).populate('createdBy', 'name').sort({ department: 1, program: 1, batch: 1 });
+
+		res.json({ success: true, count: schemes.length, defaults: DEFAULT_SCHEME, data: schemes });
+	} catch (err) {
+		console.error('List grading schemes error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/grading-schemes/resolve?department=...&program=...&batch=... → scheme marks there are graded with
+router.get('/resolve', protect, authorize('Admin', 'HOD', 'Teacher'), async (req, res) => {
+	try {
+		const scheme = await GradingScheme.resolveFor(req.query.department, req.query.program, req.query.batch);
+		res.json({ success: true, data: scheme });
+	} catch (err) {
+		console.error('Resolve grading scheme error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/grading-schemes  { name, department?, program?, batch?, method, maxPoints, passMarks, grades: [...] }
+router.post('/', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const scheme = await GradingScheme.create({ ...scopeOf(req.body), ...pick(req.body), createdBy: req.user.id });
+		res.status(201).json({ success: true, message: 'Grading scheme created', data: scheme });
+	} catch (err) {
+		if (err.code === 11000) {
+			return res.status(409).json({ success: false, message: 'An active grading scheme already exists for this scope. Update it instead.' });
+		}
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Create grading scheme error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// PUT /api/grading-schemes/:id → scope is fixed; grades already awarded are not regraded
+router.put('/:id', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const scheme = await GradingScheme.findById(req.params.id);
+		if (!scheme) return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+		if (!scheme.isActive) {
+			return res.status(400).json({ success: false, message: 'Only an active scheme can be updated' });
+		}
+
+		scheme.set(pick(req.body));
+		await scheme.save();
+
+		res.json({ success: true, message: 'Grading scheme updated', data: scheme });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Update grading scheme error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// DELETE /api/grading-schemes/:id → deactivate; the next broader scheme applies from then on
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const scheme = await GradingScheme.findById(req.params.id);
+		if (!scheme) return res.status(404).json({ success: false, message: 'Grading scheme not found' });
+
+		scheme.isActive = false;
+		await scheme.save();
+
+		res.json({ success: true, message: 'Grading scheme deactivated' });
+	} catch (err) {
+		console.error('Deactivate grading scheme error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+// routes/intervention.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const InterventionCase = require('../models/InterventionCase');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+
+const actorModel = (user) => (user.role === 'Admin' ? 'Admin' : 'Teacher');
+
+// Admin: everything. HOD: own department. Teacher: cases they own or opened.
+const canAccess = (user, interventionCase) => {
+	if (user.role === 'Admin') return true;
+	if (user.role === 'HOD') return interventionCase.department === user.department;
+	const uid = user.id.toString();
+	return interventionCase.owner.toString() === uid || interventionCase.openedBy.toString() === uid;
+};
+
+// Same rule as mentor assignment (routes/teacher.js): a class the teacher is assigned in their department
+const teachesStudent = (teacher, student) =>
+	teacher.department === student.department && teacher.subjects.some((sub) => sub.semester === student.semester && sub.section === student.section);
+
+// Case owners come from the case's department, except when an Admin assigns them
+const ownerProblem = (user, owner, department) => {
+	if (!owner || !owner.isActive) return 'Owner must be an active teacher';
+	if (user.role !== 'Admin' && owner.department !== department) return 'Owner must be a teacher in the student\'s department';
+	return null;
+};
+
+const loadCase = async (req, res) => {
+	const interventionCase = await InterventionCase.findById(req.params.id);
+	if (!interventionCase) {
+		res.status(404).json({ success: false, message: 'Case not found' });
+		return null;
+	}
+	if (!canAccess(req.user, interventionCase)) {
+		res.status(403).json({ success: false, message: 'Access denied to this case' });
+		return null;
+	}
+	return interventionCase;
+};
+
+// POST /api/interventions → open a case for a student
+router.post('/', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const { studentId, ownerId, ownerRole, reason, followUpDate } = req.body;
+
+	if (!studentId || !reason) {
+		return res.status(400).json({ success: false, message: 'studentId and reason are required' });
+	}
+	if (req.user.role === 'Admin' && !ownerId) {
+		return res.status(400).json({ success: false, message: 'ownerId is required: choose the teacher who will own the case' });
+	}
+
+	try {
+		const student = await Student.findById(studentId).select('name rollNo department semester section riskScore riskLevel');
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+		if (req.user.role === 'HOD' && student.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'Student is not in your department' });
+		}
+		if (req.user.role === 'Teacher') {
+			const teacher = await Teacher.findById(req.user.id).select('department subjects');
+			if (!teacher || !teachesStudent(teacher, student)) {
+				return res.status(403).json({ success: false, message: 'You can only open cases for students you teach' });
+			}
+		}
+
+		const existing = await InterventionCase.findOne({ student: student._id, status: { $ne: 'Closed' } });
+		if (existing) {
+			return res.status(409).json({ success: false, message: 'Student already has an open case', caseId: existing._id });
+		}
+
+		// Default owner: the teacher opening the case (Admins always name one)
+		const owner = await Teacher.findById(ownerId || req.user.id).select('name department isActive');
+		const problem = ownerProblem(req.user, owner, student.department);
+		if (problem) return res.status(400).json({ success: false, message: problem });
+
+		const interventionCase = await InterventionCase.create({
+			student: student._id,
+			department: student.department,
+			reason: reason.trim(),
+			owner: owner._id,
+			ownerRole: ownerRole || 'Mentor',
+			followUpDate: followUpDate ? new Date(followUpDate) : undefined,
+			riskScoreAtOpen: student.riskScore,
+			riskLevelAtOpen: student.riskLevel,
+			openedBy: req.user.id,
+			openedByModel: actorModel(req.user),
+		});
+
+		res.status(201).json({ success: true, message: 'Case opened', data: interventionCase });
+	} catch (err) {
+		if (err.code === 11000) {
+			return res.status(409).json({ success: false, message: 'Student already has an open case' });
+		}
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Open case error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/interventions?status=Open&dueBefore=2025-01-31&studentId=...
+router.get('/', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const query = {};
+		if (req.query.status) query.status = req.query.status;
+		if (req.query.studentId) query.student = req.query.studentId;
+		if (req.query.dueBefore) query.followUpDate = { $lte: new Date(req.query.dueBefore) };
+
+		if (req.user.role === 'HOD') {
+			query.department = req.user.department;
+		} else if (req.user.role === 'Teacher') {
+			query.$or = [{ owner: req.user.id }, { openedBy: req.user.id }];
+		} else if (req.query.department) {
+			query.department = req.query.department;
+		}
+
+		const cases = await InterventionCase.find(query)
+			.select('-entries')
+			.populate('student', 'name rollNo semester section riskLevel riskScore')
+			.populate('owner', 'name employeeId')
+			.sort({ status: 1, followUpDate: 1, createdAt: -1 })
+			.lean();
+
+		res.json({ success: true, count: cases.length, data: cases });
+	} catch (err) {
+		console.error('List cases error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/interventions/:id → full case with log
+router.get('/:id', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const interventionCase = await loadCase(req, res);
+		if (!interventionCase) return;
+
+		await interventionCase.populate([
+			{ path: 'student', select: 'name rollNo department semester section riskLevel riskScore' },
+			{ path: 'owner', select: 'name employeeId' },
+			{ path: 'openedBy', select: 'name' },
+			{ path: 'entries.by', select: 'name' },
+		]);
+
+		res.json({ success: true, data: interventionCase });
+	} catch (err) {
+		console.error('Get case error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// PATCH /api/interventions/:id → reassign owner, change follow-up date or status
+router.patch('/:id', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const { ownerId, ownerRole, followUpDate, status } = req.body;
+
+	try {
+		const interventionCase = await loadCase(req, res);
+		if (!interventionCase) return;
+
+		if (interventionCase.status === 'Closed') {
+			return res.status(400).json({ success: false, message: 'Case is closed' });
+		}
+		if (status === 'Closed') {
+			return res.status(400).json({ success: false, message: 'Use POST /:id/close to close a case with an outcome' });
+		}
+
+		if (ownerId) {
+			const owner = await Teacher.findById(ownerId).select('department isActive');
+			const problem = ownerProblem(req.user, owner, interventionCase.department);
+			if (problem) return res.status(400).json({ success: false, message: problem });
+			interventionCase.owner = owner._id;
+		}
+		if (ownerRole) interventionCase.ownerRole = ownerRole;
+		if (followUpDate !== undefined) interventionCase.followUpDate = followUpDate ? new Date(followUpDate) : undefined;
+		if (status) interventionCase.status = status;
+
+		await interventionCase.save();
+		res.json({ success: true, message: 'Case updated', data: interventionCase });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Update case error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/interventions/:id/entries → log a meeting, action or note
+router.post('/:id/entries', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const { type, summary, date, followUpDate } = req.body;
+
+	if (!type || !summary) {
+		return res.status(400).json({ success: false, message: 'type and summary are required' });
+	}
+
+	try {
+		const interventionCase = await loadCase(req, res);
+		if (!interventionCase) return;
+
+		if (interventionCase.status === 'Closed') {
+			return res.status(400).json({ success: false, message: 'Case is closed' });
+		}
+
+		interventionCase.entries.push({
+			type,
+			summary,
+			date: date ? new Date(date) : new Date(),
+			by: req.user.id,
+			byModel: actorModel(req.user),
+		});
+		if (interventionCase.status === 'Open') interventionCase.status = 'In Progress';
+		if (followUpDate) interventionCase.followUpDate = new Date(followUpDate);
+
+		await interventionCase.save();
+		res.status(201).json({ success: true, message: 'Entry added', data: interventionCase });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Add case entry error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/interventions/:id/close → close with an outcome
+router.post('/:id/close', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const { outcome, outcomeNotes } = req.body;
+
+	if (!outcome) {
+		return res.status(400).json({ success: false, message: 'outcome is required' });
+	}
+
+	try {
+		const interventionCase = await loadCase(req, res);
+		if (!interventionCase) return;
+
+		if (interventionCase.status === 'Closed') {
+			return res.status(400).json({ success: false, message: 'Case is already closed' });
+		}
+
+		interventionCase.status = 'Closed';
+		interventionCase.outcome = outcome;
+		interventionCase.outcomeNotes = outcomeNotes;
+		interventionCase.closedAt = new Date();
+		interventionCase.closedBy = req.user.id;
+		interventionCase.closedByModel = actorModel(req.user);
+		interventionCase.followUpDate = undefined;
+
+		await interventionCase.save();
+		res.json({ success: true, message: 'Case closed', data: interventionCase });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Close case error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+// routes/leave.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const LeaveRequest = require('../models/LeaveRequest');
+const Student = require('../models/Student');
+const { approveLeave } = require('../utils/leave');
+const { refreshEarlyWarnings } = require('../utils/earlyWarning');
+
+const TYPES = ['medical', 'sports', 'eventDuty'];
+const STATUSES = ['Pending', 'Approved', 'Rejected', 'Cancelled'];
+
+// Mentor = a teacher who teaches the student's section
+const teachesSection = (teacher, leave) =>
+	teacher.department === leave.department && (teacher.subjects || []).some((s) => s.semester === leave.semester && s.section === leave.section);
+
+// Admin: everything. HOD: own department. Teacher: sections they teach.
+const canReview = (user, leave) => {
+	if (user.role === 'Admin') return true;
+	if (user.role === 'HOD') return leave.department === user.department;
+	return teachesSection(user, leave);
+};
+
+// POST /api/leave → student submits a leave request
+// { type, fromDate, toDate, reason, subjectCodes?, document?: { url, name } }
+router.post('/', protect, authorize('student'), async (req, res) => {
+	const { type, fromDate, toDate, reason, subjectCodes, document } = req.body;
+
+	if (!TYPES.includes(type) || !fromDate || !reason?.trim()) {
+		return res.status(400).json({ success: false, message: `type (${TYPES.join(', ')}), fromDate and reason are required` });
+	}
+
+	const from = new Date(fromDate);
+	const to = new Date(toDate || fromDate);
+	if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+		return res.status(400).json({ success: false, message: 'Invalid fromDate or toDate' });
+	}
+	if (subjectCodes !== undefined && (!Array.isArray(subjectCodes) || subjectCodes.some((c) => typeof c !== 'string' || !c.trim()))) {
+		return res.status(400).json({ success: false, message: 'subjectCodes must be a list of subject codes' });
+	}
+
+	try {
+		const student = req.user;
+
+		const overlapping = await LeaveRequest.findOne({
+			student: student._id,
+			status: { $in: ['Pending', 'Approved'] },
+			fromDate: { $lte: to },
+			toDate: { $gte: from },
+		});
+		if (overlapping) {
+			return res.status(409).json({ success: false, message: 'You already have a leave request for these dates', leaveId: overlapping._id });
+		}
+
+		const leave = await LeaveRequest.create({
+			student: student._id,
+			department: student.department,
+			semester: student.semester,
+			section: student.section,
+			type,
+			fromDate: from,
+			toDate: to,
+			subjectCodes: subjectCodes || [],
+			reason: reason.trim(),
+			document: document?.url ? { url: document.url, name: document.name } : undefined,
+		});
+
+		res.status(201).json({ success: true, message: 'Leave request submitted', data: leave });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Submit leave error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/leave/my → student's own requests
+router.get('/my', protect, authorize('student'), async (req, res) => {
+	try {
+		const leaves = await LeaveRequest.find({ student: req.user._id }).populate('reviewedBy', 'name').sort({ createdAt: -1 }).lean();
+
+		res.json({ success: true, count: leaves.length, data: leaves });
+	} catch (err) {
+		console.error('My leave error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/leave?status=Pending&semester=5&section=A → review queue
+router.get('/', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const status = STATUSES.includes(req.query.status) ? req.query.status : 'Pending';
+		const query = { status };
+
+		if (req.user.role === 'HOD') query.department = req.user.department;
+		else if (req.user.role === 'Admin' && req.query.department) query.department = req.query.department.toString();
+		else if (req.user.role === 'Teacher') {
+			const sections = (req.user.subjects || []).map((s) => ({ semester: s.semester, section: s.section }));
+			if (sections.length === 0) return res.json({ success: true, count: 0, data: [] });
+			query.department = req.user.department;
+			query.$or = sections;
+		}
+
+		if (req.query.semester) query.semester = Number(req.query.semester);
+		if (req.query.section) query.section = req.query.section.toString().toUpperCase();
+
+		const leaves = await LeaveRequest.find(query).populate('student', 'name rollNo attendancePercentage').sort({ fromDate: 1 }).lean();
+
+		res.json({ success: true, count: leaves.length, data: leaves });
+	} catch (err) {
+		console.error('List leave error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// Load a pending request the current user may review
+const loadForReview = async (req, res) => {
+	const leave = await LeaveRequest.findById(req.params.id);
+	if (!leave) {
+		res.status(404).json({ success: false, message: 'Leave request not found' });
+		return null;
+	}
+	if (!canReview(req.user, leave)) {
+		res.status(403).json({ success: false, message: 'You cannot review this leave request' });
+		return null;
+	}
+	if (leave.status !== 'Pending') {
+		res.status(400).json({ success: false, message: `Leave request is already ${leave.status.toLowerCase()}` });
+		return null;
+	}
+	return leave;
+};
+
+// POST /api/leave/:id/approve  { note? } → absences in the window become excused
+router.post('/:id/approve', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const leave = await loadForReview(req, res);
+		if (!leave) return;
+
+		const excused = await approveLeave(leave, req.user, req.body?.note?.trim());
+
+		if (excused > 0) {
+			await Student.recomputeRisk([leave.student]).catch((err) => console.error('Risk recompute error:', err));
+			await refreshEarlyWarnings([leave.student]).catch((err) => console.error('Early warning error:', err));
+		}
+
+		res.json({ success: true, message: `Leave approved, ${excused} absence(s) excused`, data: leave });
+	} catch (err) {
+		console.error('Approve leave error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/leave/:id/reject  { note }
+router.post('/:id/reject', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	if (!req.body?.note?.trim()) {
+		return res.status(400).json({ success: false, message: 'A note explaining the rejection is required' });
+	}
+
+	try {
+		const leave = await loadForReview(req, res);
+		if (!leave) return;
+
+		leave.status = 'Rejected';
+		leave.reviewedBy = req.user.id;
+		leave.reviewedByModel = req.user.role === 'Admin' ? 'Admin' : 'Teacher';
+		leave.reviewedAt = new Date();
+		leave.reviewNote = req.body.note.trim();
+		await leave.save();
+
+		res.json({ success: true, message: 'Leave rejected', data: leave });
+	} catch (err) {
+		console.error('Reject leave error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/leave/:id/cancel → student withdraws a pending request
+router.post('/:id/cancel', protect, authorize('student'), async (req, res) => {
+	try {
+		const leave = await LeaveRequest.findOne({ _id: req.params.id, student: req.user._id });
+		if (!leave) return res.status(404).json({ success: false, message: 'Leave request not found' });
+
+		if (leave.status !== 'Pending') {
+			return res.status(400).json({ success: false, message: 'Only pending requests can be cancelled' });
+		}
+
+		leave.status = 'Cancelled';
+		await leave.save();
+
+		res.json({ success: true, message: 'Leave request cancelled', data: leave });
+	} catch (err) {
+		console.error('Cancel leave error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -3,7 +3,11 @@ const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
 const Student = require('../models/Student');
-const gradeToPoints = require('../utils/gradePoints');
+const Teacher = require('../models/Teacher');
+const GradingScheme = require('../models/GradingScheme');
+const { ATTEMPT_TYPES, sameSubjectCode, attemptError, mergeSubjectResult, summarizeAcademics, backlogList } = require('../utils/academics');
+const { schemeGrades, gradeInfo, gradeForMarks, gradeMarksProblem, gradeClass } = require('../utils/grading');
+const { loadStudentBreakdown } = require('../utils/assessment');
 
 // POST /api/marks/upload
 // router.post('/upload', protect, authorize('Teacher', 'HOD'), async (req, res) => {
@@ -86,11 +90,51 @@ const gradeToPoints = require('../utils/gradePoints');
 // 	}
 // });
 
-router.post('/upload', protect, authorize('Teacher', 'HOD'), async (req, res) => {
-	const { rollNo, semester, subjects } = req.body;
+// Grade for one uploaded subject: an explicit grade is checked against the scheme (and, on
+// absolute schemes, against the marks), otherwise it is computed from marks
+// (absent: true → the scheme's absent grade).
+// Returns { result: { grade, gradePoints, passed } } or { error }.
+const gradeSubject = (s, scheme) => {
+	if (s.marks !== undefined && s.marks !== null && (typeof s.marks !== 'number' || s.marks < 0 || s.marks > 100)) {
+		return { error: 'marks must be a number between 0 and 100' };
+	}
+	if (s.grade) {
+		const info = gradeInfo(scheme, s.grade);
+		if (!info) return { error: `Invalid grade for ${scheme.name} (expected ${schemeGrades(scheme).join(', ')})` };
+		const mismatch = gradeMarksProblem(scheme, s.grade, s.marks);
+		return mismatch ? { error: mismatch } : { result: info };
+	}
+	if (s.absent === true) return { result: gradeInfo(scheme, scheme.absentGrade) };
+	if (typeof s.marks !== 'number') return { error: 'Either grade or marks is required' };
+	if (scheme.method === 'relative') return { error: `${scheme.name} grades relative to the class: upload marks with /class-upload or give a grade` };
+	return { result: gradeInfo(scheme, gradeForMarks(s.marks, scheme)) };
+};
 
-	if (!rollNo || !semester || !Array.isArray(subjects) || subjects.length === 0) {
-		return res.status(400).json({ success: false, message: 'rollNo, semester and subjects are required' });
+// POST /api/marks/upload
+// { rollNo, semester, attemptType?, examDate?, subjects: [{ subjectCode, subjectName, credits, grade?, marks?, absent? }], removeSubjects?: [subjectCode] }
+// Regular (default): the listed subjects are added or corrected (re-uploaded ones keep their
+// supplementary/improvement history); other subjects of the semester are left alone unless named
+// in removeSubjects. Supplementary/improvement: only the listed subjects get a new attempt
+// (subjectName and credits are taken from the regular result).
+router.post('/upload', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const { rollNo } = req.body;
+	const subjects = Array.isArray(req.body.subjects) ? req.body.subjects : [];
+	const removeSubjects = Array.isArray(req.body.removeSubjects) ? req.body.removeSubjects.map((c) => c?.toString().trim().toUpperCase()) : [];
+	const semester = Number(req.body.semester);
+	const attemptType = req.body.attemptType || 'regular';
+	const examDate = req.body.examDate ? new Date(req.body.examDate) : undefined;
+
+	if (!rollNo || !semester || (subjects.length === 0 && removeSubjects.length === 0)) {
+		return res.status(400).json({ success: false, message: 'rollNo, semester and subjects (or removeSubjects) are required' });
+	}
+	if (removeSubjects.length > 0 && attemptType !== 'regular') {
+		return res.status(400).json({ success: false, message: 'removeSubjects only applies to regular uploads' });
+	}
+	if (subjects.some((s) => removeSubjects.includes(s?.subjectCode?.toString().trim().toUpperCase()))) {
+		return res.status(400).json({ success: false, message: 'A subject cannot be both uploaded and removed' });
+	}
+	if (examDate && isNaN(examDate)) {
+		return res.status(400).json({ success: false, message: 'examDate must be a valid date' });
 	}
 
 	try {
@@ -100,68 +144,63 @@ router.post('/upload', protect, authorize('Teacher', 'HOD'), async (req, res) =>
 			return res.status(404).json({ success: false, message: 'Student not found' });
 		}
 
-		const processedSubjects = [];
-		let semTotalCredits = 0;
-		let totalPoints = 0;
-		let backlogs = 0;
-		let earnedCredits = 0;
+		const scheme = await GradingScheme.resolveFor(student.department, student.program, student.batch);
 
+		const processedSubjects = [];
 		for (const s of subjects) {
-			if (!s.subjectName || !s.subjectCode || typeof s.credits !== 'number') {
+			const subjectCode = s.subjectCode?.toString().trim().toUpperCase();
+			if (!subjectCode || (attemptType === 'regular' && (!s.subjectName || typeof s.credits !== 'number'))) {
 				return res.status(400).json({
 					success: false,
 					message: 'Each subject must have subjectName, subjectCode and numeric credits',
 				});
 			}
 
-			const grade = s.grade || null;
-			const gp = grade && gradeToPoints.hasOwnProperty(grade) ? gradeToPoints[grade] : 0;
+			const problem = attemptError(student, semester, subjectCode, attemptType);
+			if (problem) return res.status(400).json({ success: false, message: problem });
+
+			const graded = gradeSubject(s, scheme);
+			if (graded.error) return res.status(400).json({ success: false, message: `${subjectCode}: ${graded.error}` });
 
 			processedSubjects.push({
 				subjectName: s.subjectName,
-				subjectCode: s.subjectCode,
+				subjectCode,
 				credits: s.credits,
-				grade,
-				gradePoints: gp,
+				...graded.result,
 				marks: typeof s.marks === 'number' ? s.marks : undefined,
 			});
+		}
 
-			semTotalCredits += s.credits;
-			totalPoints += gp * s.credits;
-
-			if (gp > 0) earnedCredits += s.credits;
-			if (['F', 'Ab'].includes(grade)) backlogs++;
+		// Removal is explicit, and only of subjects the semester actually has
+		const sem = student.academics.find((a) => a.semester === semester);
+		const unknown = removeSubjects.filter((code) => !sem?.subjects.some((s) => sameSubjectCode(s.subjectCode, code)));
+		if (unknown.length > 0) {
+			return res.status(400).json({ success: false, message: `Not recorded in semester ${semester}: ${unknown.join(', ')}` });
+		}
+		if (removeSubjects.length > 0) {
+			sem.subjects = sem.subjects.filter((s) => !removeSubjects.some((code) => sameSubjectCode(s.subjectCode, code)));
 		}
 
-		const sgpa = semTotalCredits > 0 ? Number((totalPoints / semTotalCredits).toFixed(2)) : 0;
-
-		// Remove old semester record
-		student.academics = student.academics.filter(
-			(a) => a.semester !== semester
-		);
-
-		// Push new semester result
-		student.academics.push({
-			semester,
-			subjects: processedSubjects,
-			sgpa,
-			totalCredits: semTotalCredits,
-			earnedCredits,
-			backlogsThisSem: backlogs,
-		});
+		for (const subject of processedSubjects) {
+			mergeSubjectResult(student, semester, subject, { type: attemptType, examDate, recordedBy: req.user.id });
+		}
 
-		await student.save(); // pre-save hook updates CGPA etc.
+		await student.save(); // pre-save hook updates CGPA, backlogs and risk
 
+		const { sgpa, backlogsThisSem } = student.academics.find((a) => a.semester === semester) || {};
 		return res.json({
 			success: true,
 			message: 'Marks uploaded & CGPA updated',
 			data: {
 				student: student.name,
 				semester,
+				attemptType,
 				sgpa,
 				cgpa: student.cgpa,
-				backlogsThisSem: backlogs,
-				currentBacklogs: student.currentBackloads,
+				gradingScheme: scheme.name,
+				backlogsThisSem,
+				currentBacklogs: student.currentBacklogs,
+				totalBacklogsEver: student.totalBacklogsEver,
 				riskScore: student.riskScore,
 				riskLevel: student.riskLevel,
 			},
@@ -172,24 +211,239 @@ router.post('/upload', protect, authorize('Teacher', 'HOD'), async (req, res) =>
 	}
 });
 
+// POST /api/marks/class-upload?mode=report
+// { subjectCode, semester, section, credits, attemptType?, examDate?, results: [{ rollNo, grade?, marks?, absent? }], dryRun? }
+// One subject for a whole section, as taught by the uploading teacher. Each result is merged
+// into the student's academics for that semester; other subjects are left alone.
+// Rows without a grade are graded from marks with the section's grading scheme. Supplementary and
+// improvement results add an attempt for the listed students only.
+// Without mode (strict) nothing is saved if any result is invalid.
+router.post('/class-upload', protect, authorize('Teacher', 'HOD'), async (req, res) => {
+	const { semester, credits, results, dryRun } = req.body;
+	const subjectCode = req.body.subjectCode?.toString().trim().toUpperCase();
+	const section = req.body.section?.toString().trim().toUpperCase();
+	const mode = req.query.mode === 'report' ? 'report' : 'strict';
+	const attemptType = req.body.attemptType || 'regular';
+	const examDate = req.body.examDate ? new Date(req.body.examDate) : undefined;
+
+	if (!subjectCode || !semester || !section || !Array.isArray(results) || results.length === 0) {
+		return res.status(400).json({ success: false, message: 'subjectCode, semester, section and results are required' });
+	}
+	if (!ATTEMPT_TYPES.includes(attemptType)) {
+		return res.status(400).json({ success: false, message: `attemptType must be one of ${ATTEMPT_TYPES.join(', ')}` });
+	}
+	if (examDate && isNaN(examDate)) {
+		return res.status(400).json({ success: false, message: 'examDate must be a valid date' });
+	}
+	if (credits !== undefined && (typeof credits !== 'number' || credits <= 0)) {
+		return res.status(400).json({ success: false, message: 'credits must be a positive number' });
+	}
+
+	try {
+		const teacher = await Teacher.findById(req.user.id).select('department subjects canUploadMarks');
+		if (!teacher?.canUploadMarks) {
+			return res.status(403).json({ success: false, message: 'You are not allowed to upload marks' });
+		}
+
+		// Teachers only for a subject/section they are assigned; HODs for any section in their department
+		const assignment = teacher.subjects.find((s) => s.subjectCode.toUpperCase() === subjectCode && s.semester === Number(semester) && s.section === section);
+		if (!assignment && req.user.role !== 'HOD') {
+			return res.status(403).json({ success: false, message: `You do not teach ${subjectCode} to semester ${semester} section ${section}` });
+		}
+
+		const studentQuery = { department: teacher.department, section };
+		if (assignment?.batch) studentQuery.batch = assignment.batch;
+		else studentQuery.semester = Number(semester);
+		const students = await Student.find(studentQuery);
+		const byRollNo = new Map(students.map((s) => [s.rollNo, s]));
+		const scheme = await GradingScheme.resolveFor(teacher.department, students[0]?.program, assignment?.batch || students[0]?.batch);
+
+		const outcomes = [];
+		const seen = new Set();
+		for (const [index, r] of results.entries()) {
+			const rollNo = r?.rollNo?.toString().trim();
+			const outcome = { index, rollNo: rollNo || null, grade: r?.grade ?? null, marks: r?.marks ?? null, result: null, reason: null };
+			outcomes.push(outcome);
+
+			const student = rollNo && byRollNo.get(rollNo);
+			const existing = student?.academics.find((a) => a.semester === Number(semester))?.subjects.find((s) => sameSubjectCode(s.subjectCode, subjectCode));
+			const subjectCredits = credits ?? existing?.credits;
+			const attemptProblem = student && attemptError(student, Number(semester), subjectCode, attemptType);
+
+			if (!rollNo) outcome.reason = 'Missing rollNo';
+			else if (!student) outcome.reason = 'Student not in this section';
+			else if (seen.has(rollNo)) outcome.reason = 'Repeated within this upload';
+			else if (attemptProblem) outcome.reason = attemptProblem;
+			else if (r.marks !== undefined && r.marks !== null && (typeof r.marks !== 'number' || r.marks < 0 || r.marks > 100)) outcome.reason = 'marks must be a number between 0 and 100';
+			else if (r.grade && !gradeInfo(scheme, r.grade)) outcome.reason = `Invalid grade for ${scheme.name} (expected ${schemeGrades(scheme).join(', ')})`;
+			else if (r.grade && gradeMarksProblem(scheme, r.grade, r.marks)) outcome.reason = gradeMarksProblem(scheme, r.grade, r.marks);
+			else if (!r.grade && r.absent !== true && typeof r.marks !== 'number') outcome.reason = 'Either grade or marks is required';
+			else if (!subjectCredits) outcome.reason = 'credits are required for a subject not yet recorded';
+
+			if (outcome.reason) {
+				outcome.result = 'rejected';
+				continue;
+			}
+			seen.add(rollNo);
+			outcome.student = student;
+			outcome.subject = {
+				subjectCode,
+				subjectName: req.body.subjectName || assignment?.subjectName || existing?.subjectName || subjectCode,
+				credits: subjectCredits,
+				...(r.grade && gradeInfo(scheme, r.grade)),
+				marks: typeof r.marks === 'number' ? r.marks : undefined,
+			};
+		}
+
+		// Rows without a grade are graded together, so relative schemes curve over this upload
+		const toGrade = outcomes.filter((o) => !o.result && !o.subject.grade);
+		if (toGrade.length > 0) {
+			const { grades, error } = gradeClass(toGrade.map((o) => (results[o.index].absent === true ? null : o.subject.marks)), scheme);
+			for (const [i, o] of toGrade.entries()) {
+				if (error) {
+					o.result = 'rejected';
+					o.reason = error;
+					continue;
+				}
+				Object.assign(o.subject, gradeInfo(scheme, grades[i]));
+				o.grade = grades[i];
+			}
+		}
+
+		const rejected = outcomes.filter((o) => o.result === 'rejected').length;
+		const blocked = mode === 'strict' && rejected > 0;
+
+		if (!blocked) {
+			for (const o of outcomes) {
+				if (o.result) continue;
+				o.result = mergeSubjectResult(o.student, Number(semester), o.subject, { type: attemptType, examDate, recordedBy: req.user.id });
+				o.sgpa = o.student.academics.find((a) => a.semester === Number(semester)).sgpa;
+				if (dryRun) o.student.applyAcademics();
+				else await o.student.save(); // pre-save hook updates CGPA, backlogs and risk
+				o.cgpa = o.student.cgpa;
+			}
+		}
+
+		const summary = {
+			total: outcomes.length,
+			added: outcomes.filter((o) => o.result === 'added').length,
+			updated: outcomes.filter((o) => o.result === 'updated').length,
+			attemptsAdded: outcomes.filter((o) => o.result === 'attemptAdded').length,
+			rejected,
+		};
+		const uploaded = new Set(outcomes.filter((o) => o.result !== 'rejected').map((o) => o.rollNo));
+		const data = {
+			mode,
+			dryRun: !!dryRun,
+			subjectCode,
+			semester: Number(semester),
+			section,
+			attemptType,
+			gradingScheme: scheme.name,
+			summary,
+			results: outcomes.map(({ student, subject, ...o }) => o),
+			// Only a regular upload is expected to cover the whole section
+			missingRollNos: attemptType === 'regular' ? students.map((s) => s.rollNo).filter((rollNo) => !uploaded.has(rollNo)).sort() : [],
+		};
+
+		if (blocked) {
+			return res.status(400).json({ success: false, message: 'Invalid results: nothing was saved. Fix the rejected rows or retry with ?mode=report.', data });
+		}
+
+		res.json({
+			success: true,
+			message: `${dryRun ? 'Preview: ' : ''}${summary.added} added, ${summary.updated} updated, ${summary.attemptsAdded} attempt(s) added, ${summary.rejected} rejected`,
+			data,
+		});
+	} catch (err) {
+		console.error('Class marks upload error:', err);
+		return res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
 // returns the logged-in student's academic records (student role)
 router.get('/me', protect, authorize('student'), async (req, res) => {
 	try {
-		const student = await Student.findById(req.user.id).select('name rollNo semester cgpa academics attendancePercentage currentBacklogs warnings feePending').populate('warnings.givenBy', 'name'); // optional
+		const student = await Student.findById(req.user.id).select('name rollNo semester cgpa academics attendancePercentage currentBacklogs totalBacklogsEver warnings feePending').populate('warnings.givenBy', 'name'); // optional
 		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
 
-		res.json({ success: true, student });
+		// internal assessment component marks, per subject
+		const assessments = await loadStudentBreakdown(student._id);
+
+		res.json({ success: true, student, assessments, backlogs: backlogList(student.academics) });
 	} catch (err) {
 		console.error(err);
 		res.status(500).json({ success: false, message: 'Server error' });
 	}
 });
 
+// GET /api/marks/backlogs?semester=5&section=A&department=CSE (Admin) → exam cell list for a section
+// Students with uncleared subjects, plus how many students carry each subject. Built from each
+// student's results rather than the stored currentBacklogs, which may predate a grading change.
+router.get('/backlogs', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const query = { 'academics.0': { $exists: true } };
+		if (req.user.role === 'HOD') query.department = req.user.department;
+		else if (req.query.department) query.department = req.query.department.toString();
+		if (req.query.semester) query.semester = Number(req.query.semester);
+		if (req.query.section) query.section = req.query.section.toString().toUpperCase();
+
+		const students = await Student.find(query).select('name rollNo department semester section academics').sort('rollNo').lean();
+
+		const bySubject = new Map();
+		const data = [];
+		for (const s of students) {
+			const backlogs = backlogList(s.academics);
+			if (backlogs.length === 0) continue;
+			for (const b of backlogs) {
+				const entry = bySubject.get(b.subjectCode) || { subjectCode: b.subjectCode, subjectName: b.subjectName, semester: b.semester, students: 0 };
+				entry.students++;
+				bySubject.set(b.subjectCode, entry);
+			}
+			data.push({ _id: s._id, name: s.name, rollNo: s.rollNo, semester: s.semester, section: s.section, backlogs });
+		}
+
+		res.json({
+			success: true,
+			count: data.length,
+			subjects: [...bySubject.values()].sort((a, b) => a.semester - b.semester || a.subjectCode.localeCompare(b.subjectCode)),
+			data,
+		});
+	} catch (err) {
+		console.error('Backlog list error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/marks/:studentId/backlogs → one student's uncleared subjects with attempt history
+router.get('/:studentId/backlogs', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const student = await Student.findById(req.params.studentId).select('name rollNo academics').lean();
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+		const { currentBacklogs, totalBacklogsEver } = summarizeAcademics(student.academics);
+		res.json({
+			success: true,
+			data: {
+				_id: student._id,
+				name: student.name,
+				rollNo: student.rollNo,
+				currentBacklogs,
+				totalBacklogsEver,
+				backlogs: backlogList(student.academics),
+			},
+		});
+	} catch (err) {
+		console.error('Student backlog error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
 // GET /api/marks/:studentId
 // Teachers/HOD/Admin can fetch any student's academic records
 router.get('/:studentId', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
 	try {
-		const student = await Student.findById(req.params.studentId).select('name rollNo semester cgpa academics attendancePercentage currentBacklogs warnings feePending registeredBy').populate('warnings.givenBy', 'name');
+		const student = await Student.findById(req.params.studentId).select('name rollNo semester cgpa academics attendancePercentage currentBacklogs totalBacklogsEver warnings feePending registeredBy').populate('warnings.givenBy', 'name');
 		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
 
 		res.json({ success: true, student });
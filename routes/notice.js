@@ -0,0 +1,117 @@
+// routes/notice.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const DefaulterNotice = require('../models/DefaulterNotice');
+const { weekStart, findDefaulters, sendDefaulterNotices } = require('../utils/defaulters');
+
+// HOD: own department; Admin: ?department or everything
+const studentFilter = (req, source) => {
+	const filter = {};
+	if (req.user.role === 'HOD') filter.department = req.user.department;
+	else if (source.department) filter.department = source.department.toString();
+	if (source.semester) filter.semester = Number(source.semester);
+	if (source.section) filter.section = source.section.toString().toUpperCase();
+	return filter;
+};
+
+// GET /api/notices/defaulters?semester=5&section=A → current defaulter list (nothing sent)
+router.get('/defaulters', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const defaulters = await findDefaulters(studentFilter(req, req.query));
+
+		res.json({
+			success: true,
+			count: defaulters.length,
+			data: defaulters.map((d) => ({
+				_id: d.student._id,
+				name: d.student.name,
+				rollNo: d.student.rollNo,
+				semester: d.student.semester,
+				section: d.student.section,
+				hasGuardianEmail: !!d.student.guardian?.email,
+				threshold: d.threshold,
+				subjects: d.subjects,
+			})),
+		});
+	} catch (err) {
+		console.error('Defaulter list error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/notices/defaulters/send  { semester?, section?, department? (Admin), dryRun? }
+// Students already noticed this week are skipped, so this is safe to re-run.
+router.post('/defaulters/send', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const report = await sendDefaulterNotices({
+			filter: studentFilter(req, req.body || {}),
+			sentBy: { id: req.user.id, role: req.user.role },
+			dryRun: req.body?.dryRun === true,
+		});
+
+		res.json({
+			success: true,
+			message: `${report.noticed} notice(s) ${report.dryRun ? 'would be sent' : 'sent'}, ${report.alreadyNoticed} already noticed this week`,
+			data: report,
+		});
+	} catch (err) {
+		console.error('Send defaulter notices error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/notices?studentId=...&weekOf=2025-01-06&status=bounced&semester=5&section=A → sent-notice log
+router.get('/', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const query = {};
+		if (req.user.role === 'HOD') query.department = req.user.department;
+		else if (req.query.department) query.department = req.query.department.toString();
+		if (req.query.studentId) query.student = req.query.studentId;
+		if (req.query.weekOf) query.weekOf = weekStart(new Date(req.query.weekOf));
+		if (req.query.status) query['recipients.status'] = req.query.status.toString();
+		if (req.query.semester) query.semester = Number(req.query.semester);
+		if (req.query.section) query.section = req.query.section.toString().toUpperCase();
+
+		const notices = await DefaulterNotice.find(query)
+			.populate('student', 'name rollNo')
+			.populate('sentBy', 'name')
+			.sort({ weekOf: -1, createdAt: -1 })
+			.limit(500)
+			.lean();
+
+		res.json({ success: true, count: notices.length, data: notices });
+	} catch (err) {
+		console.error('Notice log error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/notices/:id/bounce  { email, reason? } → record a bounce reported after sending
+router.post('/:id/bounce', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	const email = req.body?.email?.toString().trim().toLowerCase();
+	if (!email) return res.status(400).json({ success: false, message: 'email is required' });
+
+	try {
+		const notice = await DefaulterNotice.findById(req.params.id);
+		if (!notice) return res.status(404).json({ success: false, message: 'Notice not found' });
+		if (req.user.role === 'HOD' && notice.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'Notice is not from your department' });
+		}
+
+		const recipient = notice.recipients.find((r) => r.email === email);
+		if (!recipient) return res.status(404).json({ success: false, message: 'No such recipient on this notice' });
+
+		recipient.status = 'bounced';
+		recipient.bouncedAt = new Date();
+		recipient.error = req.body.reason?.trim() || 'Bounced';
+		await notice.save();
+
+		res.json({ success: true, message: 'Bounce recorded', data: notice });
+	} catch (err) {
+		console.error('Record bounce error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+// routes/riskPolicy.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const RiskPolicy = require('../models/RiskPolicy');
+const { DEFAULT_POLICY } = require('../utils/riskEngine');
+
+const CONFIG_KEYS = ['weights', 'attendance', 'cgpa', 'backlogs', 'warnings', 'sgpaDrop', 'missedAssignments', 'levels', 'earlyWarning'];
+
+// Overlay request body onto a base config (nested objects merge key by key)
+const mergeConfig = (base, body) => {
+	const merged = {};
+	for (const key of CONFIG_KEYS) {
+		merged[key] = { ...base[key], ...(body[key] || {}) };
+	}
+	merged.manualFlagLevel = body.manualFlagLevel || base.manualFlagLevel;
+	return merged;
+};
+
+const scopeOf = (body) => ({
+	department: body.department?.toString().trim() || null,
+	program: body.program?.toString().trim() || null,
+});
+
+// GET /api/risk-policies → active policies (add ?history=true for all versions)
+router.get('/', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const query = req.query.history === 'true' ? {} : { isActive: true };
+		if (req.query.department) query.department = req.query.department;
+
+		const policies = await RiskPolicy.find(query).populate('createdBy', 'name').sort({ department: 1, program: 1, version: -1 });
+
+		res.json({ success: true, count: policies.length, defaults: DEFAULT_POLICY, data: policies });
+	} catch (err) {
+		console.error('List risk policies error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/risk-policies/resolve?department=...&program=... → policy a student there would get
+router.get('/resolve', protect, authorize('Admin', 'HOD', 'Teacher'), async (req, res) => {
+	try {
+		const policy = await RiskPolicy.resolveFor(req.query.department, req.query.program);
+		res.json({ success: true, data: policy });
+	} catch (err) {
+		console.error('Resolve risk policy error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/risk-policies/:id → any version, used to trace past scores
+router.get('/:id', protect, authorize('Admin', 'HOD', 'Teacher'), async (req, res) => {
+	try {
+		const policy = await RiskPolicy.findById(req.params.id).populate('createdBy', 'name');
+		if (!policy) return res.status(404).json({ success: false, message: 'Risk policy not found' });
+
+		res.json({ success: true, data: policy });
+	} catch (err) {
+		console.error('Get risk policy error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// POST /api/risk-policies → first version for a department/program scope
+router.post('/', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const scope = scopeOf(req.body);
+		if (scope.program && !scope.department) {
+			return res.status(400).json({ success: false, message: 'A program policy needs a department' });
+		}
+
+		const existing = await RiskPolicy.findOne(scope).sort({ version: -1 });
+		if (existing?.isActive) {
+			return res.status(409).json({
+				success: false,
+				message: 'An active policy already exists for this scope. Update it instead.',
+				policyId: existing._id,
+			});
+		}
+
+		const policy = await RiskPolicy.create({
+			...scope,
+			...mergeConfig(DEFAULT_POLICY, req.body),
+			version: existing ? existing.version + 1 : 1,
+			notes: req.body.notes,
+			createdBy: req.user.id,
+		});
+
+		res.status(201).json({ success: true, message: 'Risk policy created', data: policy });
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Create risk policy error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// PUT /api/risk-policies/:id → publishes a new version, previous one is kept inactive
+router.put('/:id', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const current = await RiskPolicy.findById(req.params.id);
+		if (!current) return res.status(404).json({ success: false, message: 'Risk policy not found' });
+		if (!current.isActive) {
+			return res.status(400).json({ success: false, message: 'Only the active version can be updated' });
+		}
+
+		const next = new RiskPolicy({
+			department: current.department,
+			program: current.program,
+			...mergeConfig(current.toEngineConfig(), req.body),
+			version: current.version + 1,
+			notes: req.body.notes ?? current.notes,
+			createdBy: req.user.id,
+		});
+		await next.validate();
+
+		// Swap versions atomically: a failed save must not leave the scope without an active policy
+		const session = await RiskPolicy.startSession();
+		session.startTransaction();
+		try {
+			const deactivated = await RiskPolicy.updateOne({ _id: current._id, isActive: true }, { $set: { isActive: false } }, { session });
+			if (deactivated.modifiedCount === 0) {
+				await session.abortTransaction();
+				return res.status(409).json({ success: false, message: 'This version was updated meanwhile. Reload and try again.' });
+			}
+			await next.save({ session });
+			await session.commitTransaction();
+		} catch (err) {
+			await session.abortTransaction();
+			throw err;
+		} finally {
+			session.endSession();
+		}
+
+		res.json({
+			success: true,
+			message: `Risk policy updated to version ${next.version}. Scores refresh on the next recompute.`,
+			data: next,
+		});
+	} catch (err) {
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Update risk policy error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// DELETE /api/risk-policies/:id → deactivate; the scope falls back to the next broader policy
+router.delete('/:id', protect, authorize('Admin'), async (req, res) => {
+	try {
+		const policy = await RiskPolicy.findById(req.params.id);
+		if (!policy) return res.status(404).json({ success: false, message: 'Risk policy not found' });
+
+		policy.isActive = false;
+		await policy.save();
+
+		res.json({ success: true, message: 'Risk policy deactivated', data: policy });
+	} catch (err) {
+		console.error('Delete risk policy error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
@@ -3,18 +3,193 @@ const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
 const Student = require('../models/Student');
+const RiskSnapshot = require('../models/RiskSnapshot');
+const RiskPolicy = require('../models/RiskPolicy');
+const { computeRisk } = require('../utils/riskEngine');
 
-// Get all at-risk students (Teacher & Admin)
+// Get all at-risk students (Teacher & Admin), plus anyone with an active early warning
 router.get('/risk', protect, authorize('Teacher', 'Admin'), async (req, res) => {
 	try {
-		const students = await Student.find({ isAtRisk: true }).select('name rollNo attendancePercentage cgpa currentBacklogs riskLevel warnings').sort({ riskScore: -1 });
+		const students = await Student.find({ $or: [{ isAtRisk: true }, { 'earlyWarnings.active': true }] })
+			.select('name rollNo attendancePercentage cgpa currentBacklogs riskLevel warnings earlyWarnings')
+			.sort({ riskScore: -1 })
+			.lean();
+
+		const data = students.map((s) => ({ ...s, earlyWarnings: (s.earlyWarnings || []).filter((w) => w.active) }));
 
-		res.json({ success: true, count: students.length, data: students });
+		res.json({ success: true, count: data.length, data });
 	} catch (err) {
 		res.status(500).json({ success: false, message: err.message });
 	}
 });
 
+// GET /api/students/risk/movers?department=Computer%20Science&days=7&limit=10
+// Students whose risk score moved the most in the window (either direction)
+router.get('/risk/movers', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		// Only Admins may look at another department
+		const department = req.user.role === 'Admin' ? req.query.department?.toString() : req.user.department;
+		const days = parseInt(req.query.days) || 7;
+		const limit = parseInt(req.query.limit) || 10;
+
+		if (!department) {
+			return res.status(400).json({ success: false, message: 'department is required' });
+		}
+
+		const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+		// 1. First and last snapshot inside the window
+		const inWindow = await RiskSnapshot.aggregate([
+			{ $match: { department, createdAt: { $gte: since } } },
+			{ $sort: { createdAt: 1 } },
+			{
+				$group: {
+					_id: '$student',
+					firstScore: { $first: '$riskScore' },
+					firstLevel: { $first: '$riskLevel' },
+					lastScore: { $last: '$riskScore' },
+					lastLevel: { $last: '$riskLevel' },
+					lastAt: { $last: '$createdAt' },
+				},
+			},
+		]);
+
+		if (inWindow.length === 0) {
+			return res.json({ success: true, count: 0, data: { department, since, movers: [] } });
+		}
+
+		// 2. Baseline = last snapshot before the window (falls back to the first one inside it)
+		const baselines = await RiskSnapshot.aggregate([
+			{ $match: { student: { $in: inWindow.map((w) => w._id) }, createdAt: { $lt: since } } },
+			{ $sort: { createdAt: -1 } },
+			{ $group: { _id: '$student', score: { $first: '$riskScore' }, level: { $first: '$riskLevel' } } },
+		]);
+		const baselineMap = Object.fromEntries(baselines.map((b) => [b._id.toString(), b]));
+
+		const movers = inWindow
+			.map((w) => {
+				const base = baselineMap[w._id.toString()];
+				const fromScore = base ? base.score : w.firstScore;
+				return {
+					student: w._id,
+					fromScore,
+					fromLevel: base ? base.level : w.firstLevel,
+					toScore: w.lastScore,
+					toLevel: w.lastLevel,
+					change: w.lastScore - fromScore,
+					lastUpdated: w.lastAt,
+				};
+			})
+			.filter((m) => m.change !== 0)
+			.sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+			.slice(0, limit);
+
+		const students = await Student.find({ _id: { $in: movers.map((m) => m.student) } })
+			.select('name rollNo semester section')
+			.lean();
+		const studentMap = Object.fromEntries(students.map((st) => [st._id.toString(), st]));
+
+		res.json({
+			success: true,
+			count: movers.length,
+			data: {
+				department,
+				since,
+				movers: movers.map((m) => ({ ...m, student: studentMap[m.student.toString()] || { _id: m.student } })),
+			},
+		});
+	} catch (err) {
+		console.error('Risk movers error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/students/:id/risk-history?from=2025-01-01&to=2025-06-30
+// Risk timeline for one student, oldest first
+router.get('/:id/risk-history', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	const from = req.query.from ? new Date(req.query.from) : null;
+	const to = req.query.to ? new Date(req.query.to) : null;
+	if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+		return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+	}
+
+	try {
+		const student = await Student.findById(req.params.id).select('name rollNo riskScore riskLevel');
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+		const query = { student: student._id };
+		if (from || to) {
+			query.createdAt = {};
+			if (from) query.createdAt.$gte = from;
+			if (to) query.createdAt.$lte = to;
+		}
+
+		const snapshots = await RiskSnapshot.find(query).select('riskScore riskLevel isAtRisk riskPolicy riskPolicyVersion factors createdAt').sort({ createdAt: 1 }).lean();
+
+		res.json({
+			success: true,
+			count: snapshots.length,
+			data: {
+				student: { _id: student._id, name: student.name, rollNo: student.rollNo },
+				current: { riskScore: student.riskScore, riskLevel: student.riskLevel },
+				timeline: snapshots.map((snap) => ({
+					date: snap.createdAt,
+					riskScore: snap.riskScore,
+					riskLevel: snap.riskLevel,
+					isAtRisk: snap.isAtRisk,
+					policy: { _id: snap.riskPolicy, version: snap.riskPolicyVersion },
+					factors: snap.factors,
+				})),
+			},
+		});
+	} catch (err) {
+		console.error('Risk history error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/students/:id/risk-breakdown
+// Explains the current risk score: every factor with weight, raw value and points
+router.get('/:id/risk-breakdown', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const student = await Student.findById(req.params.id).select(
+			'name rollNo department program semester section totalClasses attendedClasses presentCount lateCount absentCount excusedCount cgpa currentBacklogs feePending warnings academics.semester academics.sgpa missedAssignments riskFlaggedManually riskScore riskLevel riskUpdatedAt'
+		);
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+		const policy = await RiskPolicy.resolveFor(student.department, student.program);
+		const risk = computeRisk(student, policy);
+
+		res.json({
+			success: true,
+			data: {
+				student: {
+					_id: student._id,
+					name: student.name,
+					rollNo: student.rollNo,
+					department: student.department,
+					semester: student.semester,
+					section: student.section,
+				},
+				riskScore: risk.score,
+				riskLevel: risk.level,
+				isAtRisk: risk.isAtRisk,
+				factors: risk.factors.sort((a, b) => b.points - a.points),
+				trigger: risk.trigger,
+				policy: {
+					_id: policy._id,
+					version: policy.version,
+					scope: policy._id ? { department: policy.department, program: policy.program } : 'default',
+				},
+				lastUpdated: student.riskUpdatedAt || null,
+			},
+		});
+	} catch (err) {
+		console.error('Risk breakdown error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
 // Update attendance (Teacher only)
 router.patch('/:id/attendance', protect, authorize('Teacher'), async (req, res) => {
 	const { attended, total } = req.body; // e.g., attended: 3, total: 5
@@ -48,8 +223,8 @@ router.patch('/:id/warning', protect, authorize('Teacher'), async (req, res) =>
 			student.warnings.push({ reason, givenBy: req.user.id });
 		}
 		if (isAtRisk !== undefined) {
-			student.isAtRisk = isAtRisk;
-			student.riskLevel = isAtRisk ? 'High' : 'Low';
+			// Manual flag raises the computed level; risk is recalculated on save
+			student.riskFlaggedManually = !!isAtRisk;
 		}
 
 		await student.save();
@@ -58,6 +233,26 @@ router.patch('/:id/warning', protect, authorize('Teacher'), async (req, res) =>
 		res.status(500).json({ success: false, message: err.message });
 	}
 });
+// Set guardian contact (copied on defaulter notices)
+router.patch('/:id/guardian', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	const { name, email, phone } = req.body;
+	if (email && !/^\S+@\S+\.\S+$/.test(email)) {
+		return res.status(400).json({ success: false, message: 'Invalid guardian email' });
+	}
+	try {
+		const student = await Student.findById(req.params.id);
+		if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+		if (req.user.role === 'HOD' && student.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'Student is not in your department' });
+		}
+
+		student.guardian = { name: name || null, email: email || null, phone: phone || null };
+		await student.save();
+		res.json({ success: true, message: 'Guardian updated', guardian: student.guardian });
+	} catch (err) {
+		res.status(500).json({ success: false, message: err.message });
+	}
+});
 // GET current logged-in student
 // router.get('/me', protect, async (req, res) => {
 //   try {
@@ -0,0 +1,142 @@
+// routes/substitution.js
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const Substitution = require('../models/Substitution');
+const Timetable = require('../models/Timetable');
+const Teacher = require('../models/Teacher');
+const Attendance = require('../models/Attendance');
+const { dayNameOf } = require('../utils/timetable');
+const { loadCalendar, dayStatus } = require('../utils/calendar');
+
+const normalizeDate = (raw) => {
+	const d = raw ? new Date(raw) : new Date();
+	if (isNaN(d.getTime())) return null;
+	d.setHours(0, 0, 0, 0);
+	return d;
+};
+
+// POST /api/substitutions  { timetableId, date, substituteId, reason? }
+router.post('/', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	const { timetableId, substituteId, reason } = req.body;
+	const date = normalizeDate(req.body.date);
+
+	if (!timetableId || !substituteId || !date) {
+		return res.status(400).json({ success: false, message: 'timetableId, substituteId and a valid date are required' });
+	}
+
+	try {
+		const slot = await Timetable.findById(timetableId).lean();
+		if (!slot) return res.status(404).json({ success: false, message: 'Timetable slot not found' });
+
+		if (slot.day !== dayNameOf(date)) {
+			return res.status(400).json({ success: false, message: `This slot is on ${slot.day}, not ${dayNameOf(date)}` });
+		}
+
+		const [original, substitute] = await Promise.all([
+			Teacher.findById(slot.teacher).select('name department'),
+			Teacher.findById(substituteId).select('name department isActive'),
+		]);
+		if (!original) return res.status(404).json({ success: false, message: 'Scheduled teacher not found' });
+		if (!substitute || !substitute.isActive) {
+			return res.status(400).json({ success: false, message: 'Substitute must be an active teacher' });
+		}
+		if (req.user.role === 'HOD' && original.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'This class is not in your department' });
+		}
+
+		const day = dayStatus(await loadCalendar(date, date), date, original.department);
+		if (!day.isWorkingDay) {
+			return res.status(400).json({ success: false, message: `Not a working day: ${day.reason}` });
+		}
+
+		// The substitute must be free in that period: no own class, no other cover
+		const [ownClass, otherCover] = await Promise.all([
+			Timetable.exists({ teacher: substitute._id, day: slot.day, period: slot.period }),
+			Substitution.exists({ substitute: substitute._id, date, period: slot.period }),
+		]);
+		if (ownClass || otherCover) {
+			return res.status(409).json({ success: false, message: `${substitute.name} already has a class in period ${slot.period}` });
+		}
+
+		if (await Attendance.exists({ timetable: slot._id, date })) {
+			return res.status(409).json({ success: false, message: 'Attendance for this class is already marked' });
+		}
+
+		const substitution = await Substitution.create({
+			timetable: slot._id,
+			date,
+			originalTeacher: original._id,
+			substitute: substitute._id,
+			department: original.department,
+			period: slot.period,
+			subjectCode: slot.subjectCode,
+			semester: slot.semester,
+			section: slot.section,
+			reason: reason?.trim(),
+			createdBy: req.user.id,
+			createdByModel: req.user.role === 'Admin' ? 'Admin' : 'Teacher',
+		});
+
+		res.status(201).json({
+			success: true,
+			message: `${substitute.name} will take ${slot.subjectCode} (period ${slot.period}) for ${original.name}`,
+			data: substitution,
+		});
+	} catch (err) {
+		if (err.code === 11000) {
+			return res.status(409).json({ success: false, message: 'This class already has a substitute on that date' });
+		}
+		if (err.name === 'ValidationError') {
+			return res.status(400).json({ success: false, message: err.message });
+		}
+		console.error('Create substitution error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// GET /api/substitutions?from=...&to=... → HOD: department, Teacher: classes they cover or hand over
+router.get('/', protect, authorize('Teacher', 'HOD', 'Admin'), async (req, res) => {
+	try {
+		const from = normalizeDate(req.query.from);
+		const to = req.query.to ? normalizeDate(req.query.to) : null;
+		if (!from || (req.query.to && !to)) {
+			return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+		}
+
+		const query = { date: to ? { $gte: from, $lte: to } : { $gte: from } };
+		if (req.user.role === 'HOD') query.department = req.user.department;
+		else if (req.user.role === 'Admin' && req.query.department) query.department = req.query.department.toString();
+		else if (req.user.role === 'Teacher') query.$or = [{ substitute: req.user.id }, { originalTeacher: req.user.id }];
+
+		const substitutions = await Substitution.find(query)
+			.populate('originalTeacher substitute', 'name employeeId')
+			.sort({ date: 1, period: 1 })
+			.lean();
+
+		res.json({ success: true, count: substitutions.length, data: substitutions });
+	} catch (err) {
+		console.error('List substitutions error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+// DELETE /api/substitutions/:id → cancel a cover (records already marked by the substitute stay)
+router.delete('/:id', protect, authorize('HOD', 'Admin'), async (req, res) => {
+	try {
+		const substitution = await Substitution.findById(req.params.id);
+		if (!substitution) return res.status(404).json({ success: false, message: 'Substitution not found' });
+
+		if (req.user.role === 'HOD' && substitution.department !== req.user.department) {
+			return res.status(403).json({ success: false, message: 'This class is not in your department' });
+		}
+
+		await substitution.deleteOne();
+		res.json({ success: true, message: 'Substitution cancelled' });
+	} catch (err) {
+		console.error('Delete substitution error:', err);
+		res.status(500).json({ success: false, message: 'Server error' });
+	}
+});
+
+module.exports = router;
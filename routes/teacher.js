@@ -6,6 +6,12 @@ const Teacher = require('../models/Teacher');
 const Student = require('../models/Student');
 const Timetable = require('../models/Timetable');
 const Attendance = require('../models/Attendance');
+const RiskPolicy = require('../models/RiskPolicy');
+const InterventionCase = require('../models/InterventionCase');
+const Substitution = require('../models/Substitution');
+const { dayNameOf } = require('../utils/timetable');
+const { loadCalendar, dayStatus } = require('../utils/calendar');
+const { subjectFailed } = require('../utils/academics');
 // GET /api/teachers/me → Get logged-in teacher's full details + subjects
 router.get('/me', protect, async (req, res) => {
 	try {
@@ -21,7 +27,8 @@ router.get('/me', protect, async (req, res) => {
 		// 2. Today info
 		const today = new Date();
 		today.setHours(0, 0, 0, 0);
-		const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][today.getDay()];
+		const dayName = dayNameOf(today);
+		const calendar = dayStatus(await loadCalendar(today, today), today, teacher.department);
 
 		// 3. Total students (by subjects taught)
 		const semesters = [...new Set(teacher.subjects.map((s) => s.semester))];
@@ -33,27 +40,58 @@ router.get('/me', protect, async (req, res) => {
 			section: { $in: sections },
 		});
 
-		// 4. Today's classes
-		const todayClasses = await Timetable.find({
-			teacher: teacherId,
-			day: dayName,
-		}).select('subjectCode subjectName time');
-
-		// 5. Already marked today
-		const markedToday = await Attendance.distinct('subjectCode', {
+		// 4. Today's classes (none on holidays / exam days), including classes this teacher
+		//    covers as a substitute; own classes covered by someone else stay listed but aren't theirs to mark
+		// A substitution whose teacher has since been deleted no longer applies
+		const substitutions = calendar.isWorkingDay
+			? (
+					await Substitution.find({ date: today, $or: [{ substitute: teacherId }, { originalTeacher: teacherId }] })
+						.populate('substitute originalTeacher', 'name')
+						.lean()
+				).filter((s) => s.substitute && s.originalTeacher)
+			: [];
+		const coveringFor = new Map(
+			substitutions.filter((s) => s.substitute._id.toString() === teacherId.toString()).map((s) => [s.timetable.toString(), s.originalTeacher.name])
+		);
+		const coveredBy = new Map(
+			substitutions.filter((s) => s.originalTeacher._id.toString() === teacherId.toString()).map((s) => [s.timetable.toString(), s.substitute.name])
+		);
+
+		const todayClasses = calendar.isWorkingDay
+			? await Timetable.find({
+					$or: [{ teacher: teacherId, day: dayName }, { _id: { $in: [...coveringFor.keys()] } }],
+				})
+					.select('subjectCode subjectName time period semester section')
+					.sort({ period: 1 })
+			: [];
+		const myClasses = todayClasses.filter((cls) => !coveredBy.has(cls._id.toString()));
+
+		// 5. Periods already marked today: records linked to the slot, or legacy
+		//    (slot-less) records by this teacher for the same subject
+		const markedSlotIds = (
+			await Attendance.distinct('timetable', {
+				timetable: { $in: todayClasses.map((c) => c._id) },
+				date: today,
+			})
+		).map((id) => id.toString());
+		const legacySubjects = await Attendance.distinct('subjectCode', {
 			createdBy: teacherId,
-			date: { $gte: today },
+			date: today,
+			timetable: null,
 		});
+		const isMarked = (cls) => markedSlotIds.includes(cls._id.toString()) || legacySubjects.includes(cls.subjectCode);
+		const markedToday = myClasses.filter(isMarked);
 
-		// 6. Low attendance students
+		// 6. Low attendance students (minimum comes from the department's risk policy)
+		const policy = await RiskPolicy.resolveFor(teacher.department);
 		const lowAttendanceCount = await Student.countDocuments({
 			department: teacher.department,
 			semester: { $in: semesters },
-			attendancePercentage: { $lt: 75 },
+			attendancePercentage: { $lt: policy.attendance.minimum },
 		});
 
-		// 7. Pending to mark
-		const pendingMarking = todayClasses.length - markedToday.length;
+		// 7. Pending to mark (unmarked periods)
+		const pendingMarking = myClasses.length - markedToday.length;
 
 		// 8. Student breakdown by section (PURE JS)
 		const studentBreakdown = {};
@@ -86,15 +124,24 @@ router.get('/me', protect, async (req, res) => {
 
 				// Dashboard stats
 				totalStudents,
-				classesToday: todayClasses.length,
+				classesToday: myClasses.length,
 				markedToday: markedToday.length,
 				pendingMarking: Math.max(0, pendingMarking),
 				lowAttendanceCount,
+				attendanceMinimum: policy.attendance.minimum,
+				calendar,
 				studentBreakdown,
 				todaySchedule: todayClasses.map((cls) => ({
+					timetableId: cls._id,
+					period: cls.period,
+					semester: cls.semester,
+					section: cls.section,
 					subjectCode: cls.subjectCode,
 					subjectName: cls.subjectName || cls.subjectCode,
 					time: cls.time || 'Not set',
+					marked: isMarked(cls),
+					substituteFor: coveringFor.get(cls._id.toString()) || null, // covering this class today
+					coveredBy: coveredBy.get(cls._id.toString()) || null, // someone else takes it today
 				})),
 			},
 		});
@@ -130,7 +177,7 @@ router.get('/my-students', protect, async (req, res) => {
 				batch: cls.batch,
 			})),
 		})
-			.select('name rollNo email cgpa attendancePercentage riskScore riskLevel currentBacklogs feePending warnings')
+			.select('name rollNo email cgpa attendancePercentage riskScore riskLevel currentBacklogs feePending warnings earlyWarnings')
 			.sort({ rollNo: 1 });
 
 		// Get latest semester marks for each student
@@ -153,8 +200,11 @@ router.get('/my-students', protect, async (req, res) => {
 				backlogs: student.currentBacklogs || 0,
 				feePending: student.feePending || false,
 				warnings: student.warnings?.length || 0,
+				earlyWarnings: (student.earlyWarnings || [])
+					.filter((w) => w.active)
+					.map((w) => ({ type: w.type, subjectCode: w.subjectCode, message: w.message, detectedAt: w.detectedAt })),
 				totalSubjects: subjects.length,
-				failedSubjects: subjects.filter((s) => ['F', 'Ab'].includes(s.grade)).length,
+				failedSubjects: subjects.filter(subjectFailed).length,
 			};
 		});
 
@@ -207,11 +257,19 @@ router.get('/students/:studentId', protect, async (req, res) => {
 					present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
 					absent: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
 					late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
-					total: { $sum: 1 },
+					excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } },
+					total: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 0, 1] } },
 				},
 			},
 		]);
 
+		// Open intervention cases
+		const openCases = await InterventionCase.find({ student: student._id, status: { $ne: 'Closed' } })
+			.select('reason status owner ownerRole followUpDate entries createdAt')
+			.populate('owner', 'name')
+			.sort({ createdAt: -1 })
+			.lean();
+
 		// Format response
 		const formattedStudent = {
 			_id: student._id,
@@ -234,7 +292,18 @@ router.get('/students/:studentId', protect, async (req, res) => {
 					reason: warning.reason,
 					givenBy: warning.givenBy?.name || 'Unknown',
 				})) || [],
-			attendanceSummary: attendanceSummary[0] || { present: 0, absent: 0, late: 0, total: 0 },
+			attendanceSummary: attendanceSummary[0] || { present: 0, absent: 0, late: 0, excused: 0, total: 0 },
+			openCases: openCases.map((c) => ({
+				_id: c._id,
+				reason: c.reason,
+				status: c.status,
+				owner: c.owner?.name || 'Unknown',
+				ownerRole: c.ownerRole,
+				followUpDate: c.followUpDate || null,
+				entriesCount: c.entries.length,
+				lastEntryAt: c.entries.length ? c.entries[c.entries.length - 1].date : null,
+				openedAt: c.createdAt,
+			})),
 		};
 
 		res.json({
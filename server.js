@@ -2,6 +2,8 @@ const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { scheduleNightlyRecompute } = require('./jobs/recomputeDerived');
+const { scheduleWeeklyDefaulterNotices } = require('./jobs/defaulterNotices');
 
 dotenv.config();
 connectDB();
@@ -13,8 +15,20 @@ app.use('/api/marks', require('./routes/marks'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/students', require('./routes/student'));
 // app.use('/api/students', require('./routes/attendance'));
+app.use('/api/attendance/sessions', require('./routes/attendanceSession'));
+app.use('/api/attendance/register', require('./routes/attendanceRegister'));
 app.use('/api/attendance', require('./routes/attendance'));
 app.use('/api/teachers', require('./routes/teacher'));
+app.use('/api/risk-policies', require('./routes/riskPolicy'));
+app.use('/api/interventions', require('./routes/intervention'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/eligibility', require('./routes/eligibility'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/leave', require('./routes/leave'));
+app.use('/api/substitutions', require('./routes/substitution'));
+app.use('/api/notices', require('./routes/notice'));
+app.use('/api/assessments', require('./routes/assessment'));
+app.use('/api/grading-schemes', require('./routes/gradingScheme'));
 // app.get('/api/students/all', (req, res) => {
 // 	res.json({
 // 		success: true,
@@ -26,3 +40,8 @@ app.get('/', (req, res) => res.send('API Running'));
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+if (process.env.DISABLE_NIGHTLY_JOBS !== 'true') {
+	scheduleNightlyRecompute();
+	scheduleWeeklyDefaulterNotices();
+}
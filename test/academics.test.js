@@ -0,0 +1,120 @@
+// test/academics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Student = require('../models/Student');
+const { summarizeAcademics, summarizeSemester, attemptsBySubject, mergeSubjectResult } = require('../utils/academics');
+
+const sub = (subjectCode, credits, grade, extra = {}) => ({ subjectCode, subjectName: subjectCode, credits, grade, ...extra });
+
+test('an Ab grade is a backlog worth 0 points', () => {
+	const summary = summarizeAcademics([{ semester: 1, subjects: [sub('MA1', 4, 'Ab'), sub('PH1', 4, 'A')] }]);
+
+	assert.equal(summary.cgpa, 4);
+	assert.equal(summary.currentBacklogs, 1);
+	assert.equal(summary.totalBacklogsEver, 1);
+	assert.equal(summary.creditsEarned, 4);
+});
+
+test('a zero-credit fail is a backlog but leaves CGPA alone', () => {
+	const academics = [{ semester: 1, subjects: [sub('NSS', 0, 'F'), sub('PH1', 3, 'O')] }];
+	const summary = summarizeAcademics(academics);
+
+	assert.equal(summary.cgpa, 10);
+	assert.equal(summary.currentBacklogs, 1);
+	assert.deepEqual(summarizeSemester(academics[0].subjects), { sgpa: 10, totalCredits: 3, earnedCredits: 3, backlogsThisSem: 1 });
+});
+
+test('only zero-credit subjects give a CGPA of 0 instead of dividing by zero', () => {
+	assert.equal(summarizeAcademics([{ semester: 1, subjects: [sub('NSS', 0, 'O')] }]).cgpa, 0);
+	assert.equal(summarizeAcademics([]).cgpa, 0);
+});
+
+test('a later pass clears an earlier F', () => {
+	const summary = summarizeAcademics([
+		{ semester: 1, subjects: [sub('MA1', 4, 'F'), sub('PH1', 4, 'A')] },
+		{ semester: 2, subjects: [sub('MA1', 4, 'C')] },
+	]);
+
+	assert.equal(summary.cgpa, 6.5); // MA1 counted once, through the C
+	assert.equal(summary.currentBacklogs, 0);
+	assert.equal(summary.totalBacklogsEver, 1);
+});
+
+test('an earlier semester re-uploaded after a later one stays the earlier attempt', () => {
+	// Semester 1 was uploaded (again) after semester 2, so it sits last in the array
+	const academics = [
+		{ semester: 2, subjects: [sub('MA1', 4, 'B')] },
+		{ semester: 1, subjects: [sub('MA1', 4, 'F')] },
+	];
+
+	const attempts = attemptsBySubject(academics).get('MA1');
+	assert.deepEqual(attempts.map((a) => a.semester), [1, 2]);
+
+	const summary = summarizeAcademics(academics);
+	assert.equal(summary.cgpa, 6);
+	assert.equal(summary.currentBacklogs, 0);
+	assert.equal(summary.totalBacklogsEver, 1);
+});
+
+test('stored gradePoints and passed flags win over the default scale', () => {
+	const summary = summarizeAcademics([{ semester: 1, subjects: [sub('MA1', 4, 'D', { gradePoints: 4, passed: true })] }]);
+
+	assert.equal(summary.cgpa, 4);
+	assert.equal(summary.currentBacklogs, 0);
+});
+
+test('results graded on a smaller scale are put on the 10-point scale', () => {
+	const academics = [
+		{
+			semester: 1,
+			subjects: [sub('MA1', 4, 'A', { gradePoints: 4, maxPoints: 4, passed: true }), sub('PH1', 4, 'B', { gradePoints: 3, maxPoints: 4, passed: true })],
+		},
+	];
+
+	assert.equal(summarizeAcademics(academics).cgpa, 8.75);
+	assert.equal(summarizeSemester(academics[0].subjects).sgpa, 8.75);
+});
+
+// Attempts are recorded on an unsaved Student document, as the marks routes do before saving
+const result = (grade, gradePoints, passed) => ({ subjectCode: 'MA1', subjectName: 'Maths', credits: 4, grade, gradePoints, passed });
+const recordedSubject = (student) => student.academics[0].subjects[0].toObject();
+const countedGrade = (subject) => subject.attempts.find((a) => a.counted).grade;
+
+test('a failed supplementary after a failed regular is the counted attempt', () => {
+	const student = new Student({ academics: [] });
+	mergeSubjectResult(student, 1, result('F', 0, false), { examDate: new Date('2025-01-10') });
+	assert.equal(mergeSubjectResult(student, 1, result('Ab', 0, false), { type: 'supplementary', examDate: new Date('2025-03-10') }), 'attemptAdded');
+
+	const subject = recordedSubject(student);
+	assert.deepEqual(subject.attempts.map((a) => [a.type, a.counted]), [['regular', false], ['supplementary', true]]);
+	assert.equal(subject.grade, 'Ab');
+	assert.equal(student.academics[0].backlogsThisSem, 1);
+});
+
+test('an improvement that scores lower does not replace the counted attempt', () => {
+	const student = new Student({ academics: [] });
+	mergeSubjectResult(student, 1, result('B', 7, true), { examDate: new Date('2025-01-10') });
+	mergeSubjectResult(student, 1, result('C', 6, true), { type: 'improvement', examDate: new Date('2025-03-10') });
+
+	const subject = recordedSubject(student);
+	assert.equal(subject.attempts.length, 2);
+	assert.equal(countedGrade(subject), 'B');
+	assert.equal(subject.grade, 'B');
+	assert.equal(student.academics[0].sgpa, 7);
+
+	mergeSubjectResult(student, 1, result('A', 9, true), { type: 'improvement', examDate: new Date('2025-05-10') });
+	assert.equal(recordedSubject(student).grade, 'A');
+});
+
+test('re-uploading the regular result keeps the supplementary history', () => {
+	const student = new Student({ academics: [] });
+	mergeSubjectResult(student, 1, result('F', 0, false), { examDate: new Date('2025-01-10') });
+	mergeSubjectResult(student, 1, result('C', 6, true), { type: 'supplementary', examDate: new Date('2025-03-10') });
+	assert.equal(mergeSubjectResult(student, 1, result('Ab', 0, false)), 'updated');
+
+	const subject = recordedSubject(student);
+	assert.deepEqual(subject.attempts.map((a) => [a.type, a.grade]), [['regular', 'Ab'], ['supplementary', 'C']]);
+	assert.equal(subject.attempts[0].examDate.toISOString(), new Date('2025-01-10').toISOString());
+	assert.equal(subject.grade, 'C');
+	assert.equal(student.academics[0].backlogsThisSem, 0);
+});
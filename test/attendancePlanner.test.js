@@ -0,0 +1,41 @@
+// test/attendancePlanner.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planAttendance } = require('../utils/attendancePlanner');
+
+test('no classes yet: not eligible, one class reaches any target', () => {
+	const plan = planAttendance(0, 0, 75);
+
+	assert.equal(plan.percentage, 0);
+	assert.equal(plan.eligible, false);
+	assert.equal(plan.classesToAttend, 1);
+	assert.equal(plan.canMiss, 0);
+});
+
+test('a 100% target cannot be reached again after a miss', () => {
+	assert.deepEqual(planAttendance(10, 10, 100), { attended: 10, total: 10, percentage: 100, target: 100, eligible: true, classesToAttend: 0, canMiss: 0 });
+
+	const missed = planAttendance(9, 10, 100);
+	assert.equal(missed.eligible, false);
+	assert.equal(missed.classesToAttend, null);
+	assert.equal(missed.canMiss, 0);
+});
+
+test('just under the target is not eligible even when the percentage rounds up to it', () => {
+	// 29999 / 39999 = 74.9994%, which rounds to 75.00
+	const plan = planAttendance(29999, 39999, 75);
+
+	assert.equal(plan.percentage, 75);
+	assert.equal(plan.eligible, false);
+	assert.equal(plan.classesToAttend, 1);
+});
+
+test('exactly on the target is eligible with nothing to spare', () => {
+	const plan = planAttendance(3, 4, 75);
+
+	assert.equal(plan.eligible, true);
+	assert.equal(plan.classesToAttend, 0);
+	assert.equal(plan.canMiss, 0);
+	assert.equal(planAttendance(6, 8, 75).canMiss, 0);
+	assert.equal(planAttendance(9, 10, 75).canMiss, 2);
+});
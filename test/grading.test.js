@@ -0,0 +1,60 @@
+// test/grading.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SCHEME, gradeForMarks, gradeMarksProblem, gradeClass, schemeProblems } = require('../utils/grading');
+
+test('the lowest passing grade has to start exactly at passMarks', () => {
+	assert.deepEqual(schemeProblems(DEFAULT_SCHEME), []);
+
+	const gap = { ...DEFAULT_SCHEME, passMarks: 35 }; // 35-39 would fall through to F
+	assert.deepEqual(schemeProblems(gap), ['The lowest passing grade must start at passMarks (35)']);
+});
+
+test('an explicit grade must match the marks on an absolute scheme', () => {
+	assert.equal(gradeForMarks(72), 'A');
+	assert.equal(gradeMarksProblem(DEFAULT_SCHEME, 'A', 72), null);
+	assert.equal(gradeMarksProblem(DEFAULT_SCHEME, 'A', undefined), null);
+	assert.match(gradeMarksProblem(DEFAULT_SCHEME, 'O', 72), /does not match 72 marks/);
+	assert.equal(gradeMarksProblem({ ...DEFAULT_SCHEME, method: 'relative' }, 'O', 72), null);
+});
+
+const RELATIVE = {
+	...DEFAULT_SCHEME,
+	name: 'Curve',
+	method: 'relative',
+	grades: [
+		{ grade: 'O', points: 10, minPercentile: 90, passing: true },
+		{ grade: 'A+', points: 9, minPercentile: 75, passing: true },
+		{ grade: 'A', points: 8, minPercentile: 50, passing: true },
+		{ grade: 'B', points: 6, minPercentile: 25, passing: true },
+		{ grade: 'C', points: 5, minPercentile: 0, passing: true },
+		{ grade: 'F', points: 0, passing: false },
+	],
+};
+
+test('relative grading ranks passing students by the share scoring strictly lower', () => {
+	assert.deepEqual(schemeProblems(RELATIVE), []);
+
+	// Ten passing students, one fail, one absent
+	const marks = [60, 99, 40, 30, 85, 60, null, 50, 90, 55, 70, 80];
+	const { grades, error } = gradeClass(marks, RELATIVE);
+
+	assert.equal(error, undefined);
+	assert.equal(grades[1], 'O'); // top of ten: 9 of 10 score lower → 90th percentile
+	assert.equal(grades[8], 'A+'); // 80th percentile
+	assert.equal(grades[2], 'C'); // lowest pass is the 0th percentile
+	assert.equal(grades[3], 'F');
+	assert.equal(grades[6], 'Ab');
+	// Tied marks share a percentile (3 of 10 lower → 30th), so both get B
+	assert.equal(grades[0], 'B');
+	assert.equal(grades[5], 'B');
+});
+
+test('relative grading rejects a class smaller than minClassSize, absentees not counted', () => {
+	const marks = [95, 90, 85, 80, 75, 70, 65, 60, 55, null, null];
+	const { grades, error } = gradeClass(marks, RELATIVE);
+
+	assert.equal(grades, undefined);
+	assert.equal(error, 'Relative grading under "Curve" needs marks for at least 10 students (got 9)');
+	assert.equal(gradeClass([...marks, 50], RELATIVE).error, undefined);
+});
@@ -0,0 +1,215 @@
+// utils/academics.js
+// Derived academic fields from Student.academics
+const { DEFAULT_SCHEME, gradeInfo } = require('./grading');
+
+// SGPA/CGPA are always on this scale (the risk policy's CGPA thresholds assume it)
+const POINT_SCALE = 10;
+
+// Results stored before grading schemes carry only a grade from the default scale
+const rawPoints = (sub) => (typeof sub.gradePoints === 'number' ? sub.gradePoints : gradeInfo(DEFAULT_SCHEME, sub.grade)?.gradePoints || 0);
+// Grade points rescaled from the scheme the result was graded with (maxPoints) to POINT_SCALE
+const subjectPoints = (sub) => (rawPoints(sub) * POINT_SCALE) / (sub.maxPoints || POINT_SCALE);
+const subjectFailed = (sub) => (typeof sub.passed === 'boolean' ? !sub.passed : !gradeInfo(DEFAULT_SCHEME, sub.grade)?.passed);
+
+// Subject codes are stored upper-case; results uploaded before that may not be
+const subjectKey = (code) => (code || '').toString().trim().toUpperCase();
+const sameSubjectCode = (a, b) => subjectKey(a) === subjectKey(b);
+
+/**
+ * Every attempt at each subject, oldest first: Map subjectCode → [{ semester, subject }].
+ * Semesters are taken in semester order, so a re-upload of an earlier semester stays earlier.
+ */
+const attemptsBySubject = (academics = []) => {
+	const attempts = new Map();
+	const semesters = [...academics].sort((a, b) => a.semester - b.semester);
+	for (const sem of semesters) {
+		for (const sub of sem.subjects || []) {
+			const key = subjectKey(sub.subjectCode);
+			if (!attempts.has(key)) attempts.set(key, []);
+			attempts.get(key).push({ semester: sem.semester, subject: sub });
+		}
+	}
+	return attempts;
+};
+
+/**
+ * Academic record across all semesters. Each subject counts once, through its latest attempt:
+ * a later pass replaces an earlier F/Ab in the CGPA and clears the backlog.
+ * - cgpa: credit-weighted over those attempts (zero-credit subjects do not move it), on the
+ *   10-point scale whatever maxPoints the results were graded with
+ * - currentBacklogs: subjects whose latest attempt failed
+ * - totalBacklogsEver: subjects failed at least once (any attempt), cleared or not
+ * Returns { cgpa, currentBacklogs, totalBacklogsEver, creditsEarned }.
+ */
+const summarizeAcademics = (academics = []) => {
+	let credits = 0;
+	let points = 0;
+	let creditsEarned = 0;
+	let currentBacklogs = 0;
+	let totalBacklogsEver = 0;
+
+	for (const attempts of attemptsBySubject(academics).values()) {
+		const { subject } = attempts[attempts.length - 1];
+		credits += subject.credits;
+		points += subjectPoints(subject) * subject.credits;
+		if (subjectFailed(subject)) currentBacklogs++;
+		else creditsEarned += subject.credits;
+		if (attempts.some((a) => everFailed(a.subject))) totalBacklogsEver++;
+	}
+
+	return {
+		cgpa: credits > 0 ? Number((points / credits).toFixed(2)) : 0,
+		currentBacklogs,
+		totalBacklogsEver,
+		creditsEarned,
+	};
+};
+
+/**
+ * One semester's figures from its subjects: { sgpa, totalCredits, earnedCredits, backlogsThisSem }.
+ */
+const summarizeSemester = (subjects = []) => {
+	let totalCredits = 0;
+	let totalPoints = 0;
+	let earnedCredits = 0;
+	let backlogsThisSem = 0;
+
+	for (const s of subjects) {
+		totalCredits += s.credits;
+		totalPoints += subjectPoints(s) * s.credits;
+		if (subjectFailed(s)) backlogsThisSem++;
+		else earnedCredits += s.credits;
+	}
+
+	return {
+		sgpa: totalCredits > 0 ? Number((totalPoints / totalCredits).toFixed(2)) : 0,
+		totalCredits,
+		earnedCredits,
+		backlogsThisSem,
+	};
+};
+
+const ATTEMPT_TYPES = ['regular', 'supplementary', 'improvement'];
+
+// Subjects stored before attempt history carry only their result: treat it as the regular attempt
+const attemptsOf = (sub) =>
+	sub.attempts?.length
+		? sub.attempts
+		: [{ type: 'regular', grade: sub.grade, gradePoints: rawPoints(sub), maxPoints: sub.maxPoints, passed: !subjectFailed(sub), marks: sub.marks, counted: true }];
+
+// Failed in any attempt, cleared since or not
+const everFailed = (sub) => attemptsOf(sub).some((a) => !a.passed);
+
+/**
+ * Which attempt counts for SGPA/CGPA. The regular attempt is the baseline; after it, in exam order,
+ * a supplementary counts while the subject is still uncleared and an improvement counts only
+ * when it passes with more grade points than the result it would replace.
+ */
+const countedAttemptIndex = (attempts) => {
+	const order = attempts
+		.map((a, i) => i)
+		.sort((i, j) => (attempts[i].type === 'regular' ? -1 : 0) - (attempts[j].type === 'regular' ? -1 : 0) || (attempts[i].examDate || 0) - (attempts[j].examDate || 0) || i - j);
+
+	let counted = order[0];
+	for (const i of order.slice(1)) {
+		const a = attempts[i];
+		const current = attempts[counted];
+		if (a.type === 'supplementary' && !current.passed) counted = i;
+		else if (a.type === 'improvement' && current.passed && a.passed && subjectPoints(a) > subjectPoints(current)) counted = i;
+	}
+	return counted;
+};
+
+// Subject with its top-level result taken from the counted attempt
+const withCountedAttempt = (sub) => {
+	const index = countedAttemptIndex(sub.attempts);
+	const attempts = sub.attempts.map((a, i) => ({ ...a, counted: i === index }));
+	const { grade, gradePoints, maxPoints, passed, marks } = attempts[index];
+	return { ...sub, attempts, grade, gradePoints, maxPoints, passed, marks };
+};
+
+/**
+ * Why an attempt of this type cannot be recorded for the subject, or null.
+ * Supplementary needs an uncleared subject, improvement a cleared one.
+ */
+const attemptError = (student, semester, subjectCode, type = 'regular') => {
+	if (!ATTEMPT_TYPES.includes(type)) return `attemptType must be one of ${ATTEMPT_TYPES.join(', ')}`;
+	if (type === 'regular') return null;
+
+	const sub = student.academics.find((a) => a.semester === semester)?.subjects.find((s) => sameSubjectCode(s.subjectCode, subjectCode));
+	if (!sub) return `No regular result for ${subjectCode} in semester ${semester}`;
+	if (type === 'supplementary' && !subjectFailed(sub)) return `${subjectCode} is already cleared (use improvement)`;
+	if (type === 'improvement' && subjectFailed(sub)) return `${subjectCode} is not cleared yet (use supplementary)`;
+	return null;
+};
+
+/**
+ * Record one attempt at a subject in student.academics[semester] (other subjects are kept)
+ * and refresh that semester's SGPA/credits. A regular attempt adds the subject or corrects its
+ * regular result; supplementary/improvement attempts are appended to the history, which is
+ * never dropped. Check attemptError first. Returns 'added', 'updated' or 'attemptAdded'.
+ */
+const mergeSubjectResult = (student, semester, subject, { type = 'regular', examDate, recordedBy } = {}) => {
+	let sem = student.academics.find((a) => a.semester === semester);
+	if (!sem) {
+		student.academics.push({ semester, subjects: [] });
+		sem = student.academics[student.academics.length - 1];
+	}
+
+	const index = sem.subjects.findIndex((s) => sameSubjectCode(s.subjectCode, subject.subjectCode));
+	const existing = index === -1 ? null : sem.subjects[index].toObject();
+	const { grade, gradePoints, maxPoints, passed, marks, ...details } = subject;
+	const previous = existing ? attemptsOf(existing) : [];
+
+	let merged;
+	if (type === 'regular') {
+		const regular = previous.find((a) => a.type === 'regular');
+		const attempt = { type, examDate: examDate || regular?.examDate || new Date(), grade, gradePoints, maxPoints, passed, marks, recordedBy };
+		merged = { ...existing, ...details, attempts: [attempt, ...previous.filter((a) => a.type !== 'regular')] };
+	} else {
+		merged = { ...existing, attempts: [...previous, { type, examDate: examDate || new Date(), grade, gradePoints, maxPoints, passed, marks, recordedBy }] };
+	}
+
+	if (index === -1) sem.subjects.push(withCountedAttempt(merged));
+	else sem.subjects.set(index, withCountedAttempt(merged));
+
+	Object.assign(sem, summarizeSemester(sem.subjects));
+	if (!existing) return 'added';
+	return type === 'regular' ? 'updated' : 'attemptAdded';
+};
+
+/**
+ * Uncleared subjects (latest result failed) with their attempt history, oldest semester first.
+ */
+const backlogList = (academics = []) => {
+	const backlogs = [];
+	for (const [subjectCode, entries] of attemptsBySubject(academics)) {
+		const { subject } = entries[entries.length - 1];
+		if (!subjectFailed(subject)) continue;
+
+		const attempts = entries.flatMap((e) => attemptsOf(e.subject).map((a) => ({ semester: e.semester, type: a.type, examDate: a.examDate || null, grade: a.grade, passed: a.passed })));
+		backlogs.push({
+			subjectCode,
+			subjectName: subject.subjectName,
+			semester: entries[0].semester,
+			credits: subject.credits,
+			grade: subject.grade,
+			attemptCount: attempts.length,
+			attempts,
+		});
+	}
+	return backlogs.sort((a, b) => a.semester - b.semester || a.subjectCode.localeCompare(b.subjectCode));
+};
+
+module.exports = {
+	ATTEMPT_TYPES,
+	sameSubjectCode,
+	subjectFailed,
+	everFailed,
+	attemptsBySubject,
+	summarizeAcademics,
+	summarizeSemester,
+	attemptError,
+	mergeSubjectResult,
+	backlogList,
+};
@@ -0,0 +1,121 @@
+// utils/assessment.js
+// Weighted final marks and class summaries for internal assessment components.
+const Assessment = require('../models/Assessment');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// "Mid-term 1" → "mid-term-1"
+const componentKey = (name) =>
+	name
+		.toString()
+		.trim()
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-|-$/g, '');
+
+/**
+ * Normalize components from a request body. Returns { components } or { error }.
+ */
+const parseComponents = (input) => {
+	if (!Array.isArray(input) || input.length === 0) return { error: 'At least one component is required' };
+
+	const components = [];
+	for (const c of input) {
+		if (!c?.name || typeof c.maxMarks !== 'number' || c.maxMarks <= 0 || typeof c.weight !== 'number' || c.weight < 0) {
+			return { error: 'Each component needs a name, a positive maxMarks and a weight' };
+		}
+		components.push({ key: c.key ? componentKey(c.key) : componentKey(c.name), name: c.name, type: c.type || 'other', maxMarks: c.maxMarks, weight: c.weight });
+	}
+
+	const total = components.reduce((sum, c) => sum + c.weight, 0);
+	if (Math.abs(total - 100) > 0.01) return { error: `Component weights must add up to 100 (got ${total})` };
+	if (new Set(components.map((c) => c.key)).size !== components.length) return { error: 'Component names must be unique' };
+
+	return { components };
+};
+
+/**
+ * One student's breakdown. scores: that student's score entries.
+ * weighted = marks / maxMarks × weight; absent (null) counts as 0.
+ * Returns { components: [...], total, complete, absentInAll, noneRecorded }
+ */
+const studentBreakdown = (components, scores) => {
+	const byKey = new Map(scores.map((s) => [s.componentKey, s]));
+	let total = 0;
+	let recorded = 0;
+	let absent = 0;
+
+	const rows = components.map((c) => {
+		const score = byKey.get(c.key);
+		const marks = score ? score.marks : undefined; // undefined → not entered yet, null → absent
+		const weighted = typeof marks === 'number' ? round2((marks / c.maxMarks) * c.weight) : 0;
+		if (score) recorded++;
+		if (score && marks === null) absent++;
+		total += weighted;
+		return { key: c.key, name: c.name, type: c.type, maxMarks: c.maxMarks, weight: c.weight, marks: marks ?? null, absent: marks === null, weighted };
+	});
+
+	return {
+		components: rows,
+		total: round2(total),
+		complete: recorded === components.length,
+		absentInAll: components.length > 0 && absent === components.length,
+		noneRecorded: recorded === 0,
+	};
+};
+
+/**
+ * Component-wise class summary. students: [{ _id, rollNo, name }].
+ */
+const classSummary = (assessment, students) => {
+	const scoresByStudent = new Map();
+	for (const s of assessment.scores) {
+		const key = s.student.toString();
+		if (!scoresByStudent.has(key)) scoresByStudent.set(key, []);
+		scoresByStudent.get(key).push(s);
+	}
+
+	const components = assessment.components.map((c) => {
+		const entries = assessment.scores.filter((s) => s.componentKey === c.key);
+		const marks = entries.filter((s) => typeof s.marks === 'number').map((s) => s.marks);
+		return {
+			key: c.key,
+			name: c.name,
+			type: c.type,
+			maxMarks: c.maxMarks,
+			weight: c.weight,
+			entered: entries.length,
+			pending: students.length - entries.length,
+			absent: entries.length - marks.length,
+			average: marks.length ? round2(marks.reduce((a, b) => a + b, 0) / marks.length) : null,
+			highest: marks.length ? Math.max(...marks) : null,
+			lowest: marks.length ? Math.min(...marks) : null,
+		};
+	});
+
+	const studentRows = students.map((st) => {
+		const breakdown = studentBreakdown(assessment.components, scoresByStudent.get(st._id.toString()) || []);
+		return { _id: st._id, rollNo: st.rollNo, name: st.name, ...breakdown };
+	});
+
+	return { components, students: studentRows };
+};
+
+// Component breakdown of every assessment a student has marks in (GET /api/marks/me)
+const loadStudentBreakdown = async (studentId) => {
+	const assessments = await Assessment.find({ 'scores.student': studentId }).select('subjectCode subjectName semester components scores finalizedAt').lean();
+	return assessments
+		.map((a) => ({
+			subjectCode: a.subjectCode,
+			subjectName: a.subjectName,
+			semester: a.semester,
+			finalized: !!a.finalizedAt,
+			...studentBreakdown(
+				a.components,
+				a.scores.filter((s) => s.student.toString() === studentId.toString())
+			),
+		}))
+		.sort((a, b) => a.semester - b.semester || a.subjectCode.localeCompare(b.subjectCode));
+};
+
+module.exports = { componentKey, parseComponents, studentBreakdown, classSummary, loadStudentBreakdown };
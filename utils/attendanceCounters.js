@@ -0,0 +1,33 @@
+// utils/attendanceCounters.js
+// $inc objects that keep Student attendance counters in step with Attendance records.
+
+/**
+ * Counter changes for adding (sign = 1) or removing (sign = -1) one record with `status`.
+ * Excused records are kept out of totalClasses so they don't lower attendancePercentage.
+ */
+const statusIncrements = (status, sign = 1) => ({
+	totalClasses: status === 'excused' ? 0 : sign,
+	attendedClasses: status === 'present' || status === 'late' ? sign : 0,
+	presentCount: status === 'present' ? sign : 0,
+	lateCount: status === 'late' ? sign : 0,
+	absentCount: status === 'absent' ? sign : 0,
+	excusedCount: status === 'excused' ? sign : 0,
+});
+
+/**
+ * Sum several increment objects, dropping zero entries ($inc with 0 is a no-op anyway).
+ */
+const mergeIncrements = (...increments) => {
+	const merged = {};
+	for (const inc of increments) {
+		for (const [field, value] of Object.entries(inc)) {
+			merged[field] = (merged[field] || 0) + value;
+		}
+	}
+	return Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== 0));
+};
+
+// Changing one record from `from` to `to`
+const changeIncrements = (from, to) => mergeIncrements(statusIncrements(from, -1), statusIncrements(to, 1));
+
+module.exports = { statusIncrements, mergeIncrements, changeIncrements };
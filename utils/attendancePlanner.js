@@ -0,0 +1,35 @@
+// utils/attendancePlanner.js
+// "What-if" attendance math for students.
+
+/**
+ * For `attended` out of `total` classes and a target percentage above 0, up to 100 (e.g. 75):
+ *  - classesToAttend: consecutive classes needed to reach the target (0 if already there)
+ *  - canMiss: classes that can still be missed while staying at/above the target
+ */
+const planAttendance = (attended, total, target) => {
+	const p = target / 100;
+	const percentage = total > 0 ? Math.round((attended / total) * 10000) / 100 : 0;
+
+	let classesToAttend = 0;
+	if (total === 0) {
+		classesToAttend = 1;
+	} else if (attended / total < p) {
+		// (attended + x) / (total + x) >= p  →  x >= (p*total - attended) / (1 - p)
+		classesToAttend = p >= 1 ? (attended < total ? null : 0) : Math.max(0, Math.ceil((p * total - attended) / (1 - p) - 1e-9));
+	}
+
+	// attended / (total + y) >= p  →  y <= attended / p - total
+	const canMiss = Math.max(0, Math.floor(attended / p - total + 1e-9));
+
+	return {
+		attended,
+		total,
+		percentage,
+		target,
+		eligible: total > 0 && attended / total >= p, // exact ratio, like classesToAttend (percentage is rounded)
+		classesToAttend, // null → target can never be reached (100% after a miss)
+		canMiss,
+	};
+};
+
+module.exports = { planAttendance };
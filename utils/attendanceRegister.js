@@ -0,0 +1,171 @@
+// utils/attendanceRegister.js
+// Paper-style attendance register: one row per roll number, one column per date,
+// cells P / A / L (E = excused on export). Converts between that grid and upload entries.
+const { parseCsv } = require('./csv');
+const { dateKey } = require('./calendar');
+const { dayNameOf } = require('./timetable');
+const { attendanceFigures } = require('./latePolicy');
+
+const CODE_TO_STATUS = { P: 'present', A: 'absent', L: 'late' };
+const STATUS_TO_CODE = { present: 'P', absent: 'A', late: 'L', excused: 'E' };
+const SKIP_CODES = ['', '-', 'E']; // blank / no class / excused (excused only comes from approved leave)
+
+// 2025-01-06, 06-01-2025 or 06/01/2025 → local midnight, else null
+const parseRegisterDate = (header) => {
+	const h = header.trim();
+	let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(h);
+	if (m) return validDate(+m[1], +m[2], +m[3]);
+	m = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(h);
+	if (m) return validDate(+m[3], +m[2], +m[1]);
+	return null;
+};
+
+const validDate = (y, mo, d) => {
+	const date = new Date(y, mo - 1, d);
+	return date.getFullYear() === y && date.getMonth() === mo - 1 && date.getDate() === d ? date : null;
+};
+
+/**
+ * Parse register CSV text.
+ * Returns { dates: [{ column, header, date }], rows: [{ line, rollNo, cells: [{ column, value }] }], ignoredColumns, error }
+ * The roll number column is the first header containing "roll"; other non-date columns
+ * (name, totals) are ignored.
+ */
+const parseRegister = (text) => {
+	const grid = parseCsv(text);
+	if (grid.length < 2) return { error: 'Register must have a header row and at least one student row' };
+
+	const header = grid[0];
+	const rollColumn = header.findIndex((h) => /roll/i.test(h));
+	if (rollColumn === -1) return { error: 'Header must include a "Roll No" column' };
+
+	const dates = [];
+	const ignoredColumns = [];
+	header.forEach((h, column) => {
+		if (column === rollColumn) return;
+		const date = parseRegisterDate(h);
+		if (date) dates.push({ column, header: h.trim(), date });
+		else if (h.trim()) ignoredColumns.push(h.trim());
+	});
+	if (dates.length === 0) return { error: 'No date columns found (use YYYY-MM-DD or DD-MM-YYYY headers)' };
+
+	const seen = new Set(dates.map((d) => d.date.getTime()));
+	if (seen.size !== dates.length) return { error: 'The same date appears in more than one column' };
+
+	const rows = grid.slice(1).map((cells, i) => ({
+		line: i + 2,
+		rollNo: (cells[rollColumn] || '').trim(),
+		cells: dates.map((d) => ({ column: d.column, value: (cells[d.column] || '').trim().toUpperCase() })),
+	}));
+
+	return { dates, rows, ignoredColumns, error: null };
+};
+
+/**
+ * Timetable slot each date column is recorded against: the subject's one slot on that weekday.
+ * slots: the section's Timetable slots for the subject (already narrowed to a period, if given).
+ * Returns [{ slot }] or [{ error }] per date column.
+ */
+const resolveColumnSlots = (dates, slots) =>
+	dates.map(({ date }) => {
+		const day = dayNameOf(date);
+		const matches = slots.filter((s) => s.day === day);
+		if (matches.length === 1) return { slot: matches[0] };
+		if (matches.length === 0) return { error: `No timetabled class on ${day}` };
+		return { error: `${matches.length} periods on ${day}: import each period separately with ?period=` };
+	});
+
+/**
+ * Turn parsed rows into upload entries. studentIds: Map rollNo → student _id;
+ * columnSlots: resolveColumnSlots() for register.dates.
+ * Returns { entries, meta, cellErrors }; meta[i] = { rollNo, date, code, period } for entries[i].
+ */
+const registerToEntries = ({ dates, rows }, studentIds, columnSlots) => {
+	const entries = [];
+	const meta = [];
+	const cellErrors = [];
+
+	for (const row of rows) {
+		if (!row.rollNo) {
+			cellErrors.push({ line: row.line, rollNo: null, date: null, value: null, reason: 'Missing roll number' });
+			continue;
+		}
+		const studentId = studentIds.get(row.rollNo);
+		if (!studentId) {
+			cellErrors.push({ line: row.line, rollNo: row.rollNo, date: null, value: null, reason: 'Unknown roll number' });
+			continue;
+		}
+
+		row.cells.forEach((cell, i) => {
+			const date = dateKey(dates[i].date);
+			if (SKIP_CODES.includes(cell.value)) return;
+			const status = CODE_TO_STATUS[cell.value];
+			if (!status) {
+				const reason = /\s/.test(cell.value) ? 'One code per cell (several periods cannot be imported from a register)' : 'Expected P, A or L';
+				cellErrors.push({ line: row.line, rollNo: row.rollNo, date, value: cell.value, reason });
+				return;
+			}
+			const { slot, error } = columnSlots[i];
+			if (error) {
+				cellErrors.push({ line: row.line, rollNo: row.rollNo, date, value: cell.value, reason: error });
+				return;
+			}
+			entries.push({ studentId, status, date: dates[i].date, timetableId: slot._id });
+			meta.push({ rollNo: row.rollNo, date, code: cell.value, period: slot.period });
+		});
+	}
+
+	return { entries, meta, cellErrors };
+};
+
+/**
+ * Build the register grid for export.
+ * students: [{ _id, rollNo, name }] sorted; records: Attendance docs for one subject;
+ * rule: policy.attendance (late rule for the adjusted percentage).
+ * A day with several periods of the subject shows every code, space-separated ("P A").
+ */
+const buildRegister = (students, records, rule) => {
+	const dates = [...new Set(records.map((r) => dateKey(r.date)))].sort();
+	const byStudent = new Map();
+	for (const r of records) {
+		const key = `${r.student}|${dateKey(r.date)}`;
+		if (!byStudent.has(key)) byStudent.set(key, []);
+		byStudent.get(key).push(r);
+	}
+
+	const rows = students.map((st) => {
+		const row = { rollNo: st.rollNo, name: st.name };
+		const counts = { present: 0, late: 0, total: 0 };
+		for (const date of dates) {
+			const day = (byStudent.get(`${st._id}|${date}`) || []).sort((a, b) => (a.period || 0) - (b.period || 0));
+			row[date] = day.map((r) => STATUS_TO_CODE[r.status]).join(' ');
+			for (const r of day) {
+				if (r.status === 'excused') continue;
+				counts.total++;
+				if (r.status === 'present' || r.status === 'late') counts[r.status]++;
+			}
+		}
+		const figures = attendanceFigures(counts, rule);
+		row.attended = figures.raw.attended;
+		row.late = counts.late;
+		row.total = counts.total;
+		row.rawPercentage = figures.raw.percentage;
+		row.percentage = figures.adjusted.percentage;
+		return row;
+	});
+
+	const columns = [
+		{ key: 'rollNo', header: 'Roll No' },
+		{ key: 'name', header: 'Name' },
+		...dates.map((d) => ({ key: d, header: d })),
+		{ key: 'attended', header: 'Attended' },
+		{ key: 'late', header: 'Late' },
+		{ key: 'total', header: 'Total' },
+		{ key: 'rawPercentage', header: 'Raw %' },
+		{ key: 'percentage', header: 'Attendance % (late rule)' },
+	];
+
+	return { dates, rows, columns };
+};
+
+module.exports = { parseRegister, resolveColumnSlots, registerToEntries, buildRegister };
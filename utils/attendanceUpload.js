@@ -0,0 +1,258 @@
+// utils/attendanceUpload.js
+// Validate a batch of attendance entries, classify each one and (unless dryRun) write
+// the result in one transaction. Used by POST /api/attendance/upload.
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const Timetable = require('../models/Timetable');
+const { statusIncrements, changeIncrements, mergeIncrements } = require('./attendanceCounters');
+const { dayNameOf, canMarkSlot, substitutionKey, loadSubstitutions } = require('./timetable');
+const { loadCalendar, dayStatus } = require('./calendar');
+const { leaveCovers, loadApprovedLeave } = require('./leave');
+
+const VALID_STATUSES = ['present', 'absent', 'late'];
+const MODES = ['strict', 'report', 'upsert'];
+
+const normalizeDate = (raw) => {
+	const d = raw ? new Date(raw) : new Date();
+	if (isNaN(d.getTime())) return null;
+	d.setHours(0, 0, 0, 0);
+	return d;
+};
+
+// Subject codes are compared upper-case everywhere (Attendance and Timetable store them that way)
+const normalizeSubjectCode = (code) => (code ? code.toString().trim().toUpperCase() : null);
+
+const slotKey = (studentId, date, subjectCode, period) => `${studentId}|${date.getTime()}|${normalizeSubjectCode(subjectCode) || ''}|${period || ''}`;
+
+/**
+ * Every entry names a Timetable slot (`timetableId`); subject, period and section come
+ * from the slot, and the actor must be allowed to mark it on that weekday (as the
+ * scheduled teacher, the department's HOD, or the substitute covering that date).
+ * Entries dated on a holiday, exam day or outside the term (see utils/calendar) are rejected.
+ * An `absent` entry covered by the student's approved leave is stored as `excused`.
+ * A record saved before periods existed (no `period`) counts as that subject's class on the
+ * day, so re-marking it through a slot updates it rather than adding a second one.
+ *
+ * Per-entry result:
+ *  accepted  → new record, counters incremented
+ *  updated   → (upsert) existing record had another status, counters adjusted
+ *  unchanged → (upsert) existing record already has this status
+ *  duplicate → (report) record for this student/date/subject already exists, skipped
+ *  rejected  → invalid entry, see `reason`
+ * In strict mode nothing is written if any entry is rejected or a duplicate.
+ */
+const applyAttendanceEntries = async (entries, { mode = 'strict', actor, dryRun = false }) => {
+	const createdBy = actor.id;
+	const results = entries.map((entry, index) => ({
+		index,
+		studentId: entry?.studentId ?? null,
+		status: entry?.status ?? null,
+		timetableId: entry?.timetableId ?? null,
+		subjectCode: normalizeSubjectCode(entry?.subjectCode),
+		subjectName: entry?.subjectName || null,
+		period: null,
+		section: null,
+		date: null,
+		result: null,
+		reason: null,
+	}));
+
+	const reject = (r, reason) => {
+		r.result = 'rejected';
+		r.reason = reason;
+	};
+
+	// 1. Shape
+	for (const r of results) {
+		const entry = entries[r.index];
+		if (!r.studentId || !mongoose.isValidObjectId(r.studentId)) reject(r, 'Missing or invalid studentId');
+		else if (!VALID_STATUSES.includes(r.status)) reject(r, `Invalid status (expected ${VALID_STATUSES.join(', ')})`);
+		else if (!(r.date = normalizeDate(entry.date))) reject(r, 'Invalid date');
+		else if (!r.timetableId || !mongoose.isValidObjectId(r.timetableId)) {
+			reject(r, r.subjectCode ? 'timetableId is required (entries naming only a subjectCode are no longer accepted)' : 'Missing or invalid timetableId');
+		}
+	}
+
+	// 2. Students must exist
+	const candidateIds = [...new Set(results.filter((r) => !r.result).map((r) => r.studentId.toString()))];
+	const students = await Student.find({ _id: { $in: candidateIds } })
+		.select('department semester section')
+		.lean();
+	const studentMap = new Map(students.map((s) => [s._id.toString(), s]));
+	for (const r of results) {
+		if (!r.result && !studentMap.has(r.studentId.toString())) reject(r, 'Student not found');
+	}
+
+	// 2b. Academic calendar: only working days for the student's department
+	const dated = results.filter((r) => !r.result);
+	if (dated.length) {
+		const times = dated.map((r) => r.date.getTime());
+		const events = await loadCalendar(new Date(Math.min(...times)), new Date(Math.max(...times)));
+		for (const r of dated) {
+			const day = dayStatus(events, r.date, studentMap.get(r.studentId.toString()).department);
+			if (!day.isWorkingDay) reject(r, `Not a working day: ${day.reason}`);
+		}
+	}
+
+	// 3. Timetable slots: right weekday, right section, actor scheduled for it
+	const slotIds = [...new Set(results.filter((r) => !r.result).map((r) => r.timetableId.toString()))];
+	const slots = await Timetable.find({ _id: { $in: slotIds } }).lean();
+	const slotMap = new Map(slots.map((s) => [s._id.toString(), s]));
+	const slotDates = results.filter((r) => !r.result).map((r) => r.date.getTime());
+	const substitutions = slotDates.length
+		? await loadSubstitutions(slotIds, new Date(Math.min(...slotDates)), new Date(Math.max(...slotDates)))
+		: new Map();
+	for (const r of results) {
+		if (r.result) continue;
+		const slot = slotMap.get(r.timetableId.toString());
+		const student = studentMap.get(r.studentId.toString());
+		if (!slot) reject(r, 'Timetable slot not found');
+		else if (slot.day !== dayNameOf(r.date)) reject(r, `Slot is on ${slot.day}, not ${dayNameOf(r.date)}`);
+		else if (slot.semester !== student.semester || slot.section !== student.section?.toUpperCase()) reject(r, 'Student is not in this slot\'s section');
+		else if (!canMarkSlot(slot, actor, substitutions.get(substitutionKey(slot._id, r.date)))) reject(r, 'You are not scheduled for this slot');
+		else {
+			r.subjectCode = normalizeSubjectCode(slot.subjectCode);
+			r.subjectName = slot.subjectName || r.subjectName;
+			r.period = slot.period;
+			r.section = slot.section;
+		}
+	}
+
+	// 3b. Approved leave turns an absence into an excused one
+	const absences = results.filter((r) => !r.result && r.status === 'absent');
+	if (absences.length) {
+		const times = absences.map((r) => r.date.getTime());
+		const leaveByStudent = await loadApprovedLeave(
+			[...new Set(absences.map((r) => r.studentId.toString()))],
+			new Date(Math.min(...times)),
+			new Date(Math.max(...times))
+		);
+		for (const r of absences) {
+			const leave = (leaveByStudent.get(r.studentId.toString()) || []).find((l) => leaveCovers(l, r.date, r.subjectCode));
+			if (leave) {
+				r.status = 'excused';
+				r.reason = `Excused (approved ${leave.type} leave)`;
+			}
+		}
+	}
+
+	// 4. Same slot twice in one request → keep the first
+	const seen = new Set();
+	for (const r of results) {
+		if (r.result) continue;
+		const key = slotKey(r.studentId, r.date, r.subjectCode, r.period);
+		if (seen.has(key)) reject(r, 'Repeated within this upload');
+		seen.add(key);
+	}
+
+	// 5. Compare with what is already stored
+	const pending = results.filter((r) => !r.result);
+	const stored = pending.length
+		? await Attendance.find({ $or: pending.map((r) => ({ student: r.studentId, date: r.date, subjectCode: r.subjectCode, period: { $in: [r.period, null] } })) })
+				.select('student date status subjectCode subjectName period')
+				.lean()
+		: [];
+	const storedMap = new Map(stored.filter((a) => a.period != null).map((a) => [slotKey(a.student, a.date, a.subjectCode, a.period), a]));
+	// Records saved before attendance was period-aware (no period) stand for the class that
+	// day: the first slot of that subject re-marked claims one, instead of inserting a second record
+	const legacy = new Map();
+	for (const a of stored.filter((x) => x.period == null)) {
+		const key = slotKey(a.student, a.date, a.subjectCode, null);
+		if (!legacy.has(key)) legacy.set(key, []);
+		legacy.get(key).push(a);
+	}
+	const findExisting = (r) => storedMap.get(slotKey(r.studentId, r.date, r.subjectCode, r.period)) || legacy.get(slotKey(r.studentId, r.date, r.subjectCode, null))?.shift();
+
+	const studentIncrements = {};
+	const addIncrements = (studentId, inc) => {
+		studentIncrements[studentId] = mergeIncrements(studentIncrements[studentId] || {}, inc);
+	};
+	const inserts = [];
+	const updates = [];
+
+	for (const r of pending) {
+		const existing = findExisting(r);
+		if (!existing) {
+			r.result = 'accepted';
+			addIncrements(r.studentId, statusIncrements(r.status));
+			inserts.push({
+				student: r.studentId,
+				date: r.date,
+				status: r.status,
+				subjectCode: r.subjectCode,
+				subjectName: r.subjectName,
+				timetable: r.timetableId,
+				period: r.period,
+				section: r.section,
+				createdBy,
+			});
+		} else if (mode !== 'upsert') {
+			r.result = 'duplicate';
+			r.reason = `Already marked ${existing.status}`;
+		} else if (existing.status === r.status) {
+			r.result = 'unchanged';
+		} else {
+			r.result = 'updated';
+			r.reason = `Was ${existing.status}`;
+			addIncrements(r.studentId, changeIncrements(existing.status, r.status));
+			// A legacy record is tied to the slot it was matched with
+			updates.push({ existing, status: r.status, slot: existing.period == null ? { timetable: r.timetableId, period: r.period, section: r.section } : {} });
+		}
+	}
+
+	const blocked = mode === 'strict' && results.some((r) => r.result === 'rejected' || r.result === 'duplicate');
+
+	// 6. Write
+	if (!dryRun && !blocked && (inserts.length || updates.length)) {
+		const session = await Student.startSession();
+		session.startTransaction();
+		try {
+			const bulkOps = Object.entries(studentIncrements)
+				.filter(([, inc]) => Object.keys(inc).length > 0)
+				.map(([studentId, inc]) => ({ updateOne: { filter: { _id: studentId }, update: { $inc: inc } } }));
+			if (bulkOps.length) await Student.bulkWrite(bulkOps, { session });
+
+			if (inserts.length) await Attendance.insertMany(inserts, { session });
+
+			if (updates.length) {
+				await Attendance.bulkWrite(
+					updates.map((u) => ({ updateOne: { filter: { _id: u.existing._id }, update: { $set: { status: u.status, ...u.slot } } } })),
+					{ session }
+				);
+				await AttendanceAudit.insertMany(
+					updates.map((u) => ({
+						attendance: u.existing._id,
+						student: u.existing.student,
+						action: 'update',
+						before: { date: u.existing.date, status: u.existing.status, subjectCode: u.existing.subjectCode, subjectName: u.existing.subjectName },
+						after: { date: u.existing.date, status: u.status, subjectCode: u.existing.subjectCode, subjectName: u.existing.subjectName },
+						reason: 'Re-submitted via attendance upload',
+						changedBy: createdBy,
+						changedByModel: actor.role === 'Admin' ? 'Admin' : 'Teacher',
+					})),
+					{ session }
+				);
+			}
+
+			await session.commitTransaction();
+		} catch (err) {
+			await session.abortTransaction();
+			throw err;
+		} finally {
+			session.endSession();
+		}
+	}
+
+	const summary = { total: results.length, accepted: 0, updated: 0, unchanged: 0, duplicate: 0, rejected: 0 };
+	results.forEach((r) => summary[r.result]++);
+
+	return {
+		summary,
+		results: results.map((r) => ({ ...r, date: r.date ? r.date.toISOString().split('T')[0] : null })),
+		affectedStudents: blocked ? [] : Object.keys(studentIncrements),
+	};
+};
+
+module.exports = { MODES, VALID_STATUSES, applyAttendanceEntries };
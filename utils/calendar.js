@@ -0,0 +1,138 @@
+// utils/calendar.js
+// Working-day lookups against the academic calendar, plus a small ICS parser.
+const CalendarEvent = require('../models/CalendarEvent');
+
+const NON_WORKING_TYPES = ['holiday', 'exam'];
+
+const startOfDay = (d) => {
+	const date = new Date(d);
+	date.setHours(0, 0, 0, 0);
+	return date;
+};
+
+const dateKey = (d) => {
+	const date = new Date(d);
+	return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const overlaps = (e, from, to) => e.startDate <= startOfDay(to) && e.endDate >= startOfDay(from);
+
+/**
+ * All events overlapping [from, to] (institution-wide and any department), plus every
+ * term event whatever its dates: dayStatus() needs to know whether a department has
+ * terms at all, not just whether one falls inside the range. Filter with overlaps()
+ * before listing.
+ */
+const loadCalendar = (from, to) =>
+	CalendarEvent.find({ $or: [{ startDate: { $lte: startOfDay(to) }, endDate: { $gte: startOfDay(from) } }, { type: 'term' }] })
+		.select('title type startDate endDate department')
+		.lean();
+
+/**
+ * Status of one day for a department, given events from loadCalendar().
+ * A day is non-working when a holiday/exam covers it, or when the department
+ * (or the institution) has terms defined and none of them covers it.
+ */
+const dayStatus = (events, date, department) => {
+	const day = startOfDay(date);
+	const applicable = events.filter((e) => (!e.department || e.department === department) && overlaps(e, day, day));
+	const blocking = applicable.filter((e) => NON_WORKING_TYPES.includes(e.type));
+	const termsDefined = events.some((e) => e.type === 'term' && (!e.department || e.department === department));
+	const inTerm = applicable.some((e) => e.type === 'term');
+
+	let reason = null;
+	if (blocking.length > 0) reason = blocking.map((e) => e.title).join(', ');
+	else if (termsDefined && !inTerm) reason = 'Outside the teaching term';
+
+	return {
+		date: dateKey(day),
+		isWorkingDay: reason === null,
+		reason,
+		events: applicable.map((e) => ({ title: e.title, type: e.type })),
+	};
+};
+
+const isWorkingDay = async (date, department) => dayStatus(await loadCalendar(date, date), date, department).isWorkingDay;
+
+/**
+ * The teaching term covering `date` for a department ({ title, startDate, endDate }), or null.
+ * A department's own term wins over an institution-wide one.
+ */
+const currentTerm = async (department, date = new Date()) => {
+	const day = startOfDay(date);
+	const terms = await CalendarEvent.find({ type: 'term', startDate: { $lte: day }, endDate: { $gte: day }, department: { $in: [department, null] } })
+		.select('title startDate endDate department')
+		.lean();
+	return terms.find((t) => t.department === department) || terms[0] || null;
+};
+
+// --- ICS import -------------------------------------------------------------
+
+const parseIcsDate = (value) => {
+	// 20250126 or 20250126T090000(Z)
+	const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+	if (!m) return null;
+	const [, y, mo, d, h = '00', mi = '00', s = '00', z] = m;
+	return z ? new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s)) : new Date(+y, +mo - 1, +d, +h, +mi, +s);
+};
+
+const unescapeText = (s) => s.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Parse VEVENTs from ICS text → [{ uid, title, description, startDate, endDate, categories }]
+ * All-day DTEND is exclusive in ICS, so it is moved back one day.
+ */
+const parseIcs = (text) => {
+	// Unfold continuation lines (RFC 5545 §3.1)
+	const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+	const events = [];
+	let current = null;
+
+	for (const line of lines) {
+		if (line === 'BEGIN:VEVENT') {
+			current = {};
+			continue;
+		}
+		if (line === 'END:VEVENT') {
+			if (current?.startDate) {
+				if (!current.endDate) current.endDate = new Date(current.startDate);
+				else if (current.allDay && current.endDate > current.startDate) current.endDate.setDate(current.endDate.getDate() - 1);
+				events.push(current);
+			}
+			current = null;
+			continue;
+		}
+		if (!current) continue;
+
+		const idx = line.indexOf(':');
+		if (idx === -1) continue;
+		const [name, ...params] = line.slice(0, idx).split(';');
+		const value = line.slice(idx + 1);
+
+		switch (name.toUpperCase()) {
+			case 'UID':
+				current.uid = value.trim();
+				break;
+			case 'SUMMARY':
+				current.title = unescapeText(value).trim();
+				break;
+			case 'DESCRIPTION':
+				current.description = unescapeText(value).trim();
+				break;
+			case 'CATEGORIES':
+				current.categories = value.split(',').map((c) => c.trim().toLowerCase());
+				break;
+			case 'DTSTART':
+				current.startDate = parseIcsDate(value);
+				current.allDay = params.some((p) => p.toUpperCase() === 'VALUE=DATE') || /^\d{8}$/.test(value.trim());
+				break;
+			case 'DTEND':
+				current.endDate = parseIcsDate(value);
+				break;
+		}
+	}
+
+	return events.filter((e) => e.startDate && e.title);
+};
+
+module.exports = { NON_WORKING_TYPES, startOfDay, dateKey, overlaps, loadCalendar, dayStatus, isWorkingDay, currentTerm, parseIcs };
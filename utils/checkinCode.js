@@ -0,0 +1,46 @@
+// utils/checkinCode.js
+// Rotating 6-digit check-in codes (TOTP-style) and signed QR payloads for attendance sessions.
+// Both are keyed with the session's own random secret, never the app's JWT secret, so a code
+// or QR token is only good for the session it came from.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const codeAt = (secret, rotateSeconds, time) => {
+	const window = Math.floor(time / 1000 / rotateSeconds);
+	const hmac = crypto.createHmac('sha256', secret).update(String(window)).digest();
+	return String(hmac.readUInt32BE(0) % 1000000).padStart(6, '0');
+};
+
+/**
+ * Current code plus seconds until it rotates.
+ */
+const currentCode = (secret, rotateSeconds, now = Date.now()) => ({
+	code: codeAt(secret, rotateSeconds, now),
+	expiresIn: rotateSeconds - (Math.floor(now / 1000) % rotateSeconds),
+});
+
+// The previous code is still accepted so a student typing at the rollover isn't rejected
+const verifyCode = (secret, rotateSeconds, code, now = Date.now()) => {
+	const input = String(code || '').trim();
+	return [0, 1].some((back) => codeAt(secret, rotateSeconds, now - back * rotateSeconds * 1000) === input);
+};
+
+// QR contents: a short-lived JWT carrying the session id and the current code
+const signQrPayload = (sessionId, code, rotateSeconds, secret) => jwt.sign({ sid: sessionId.toString(), code, typ: 'checkin' }, secret, { expiresIn: rotateSeconds * 2 });
+
+// Session id named in a QR token, unverified: load that session's secret, then verifyQrPayload()
+const qrSessionId = (token) => {
+	const payload = jwt.decode(token);
+	return typeof payload?.sid === 'string' ? payload.sid : null;
+};
+
+const verifyQrPayload = (token, secret) => {
+	try {
+		const payload = jwt.verify(token, secret);
+		return payload.typ === 'checkin' ? payload : null;
+	} catch (err) {
+		return null;
+	}
+};
+
+module.exports = { currentCode, verifyCode, signQrPayload, qrSessionId, verifyQrPayload };
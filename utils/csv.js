@@ -0,0 +1,66 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV helpers (no dependency).
+
+const escapeCell = (value) => {
+	if (value === null || value === undefined) return '';
+	const s = String(value);
+	return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * rows: array of objects; columns: [{ key, header }] (header defaults to key)
+ */
+const toCsv = (rows, columns) => {
+	const lines = [columns.map((c) => escapeCell(c.header || c.key)).join(',')];
+	for (const row of rows) {
+		lines.push(columns.map((c) => escapeCell(row[c.key])).join(','));
+	}
+	return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings). Handles quoted cells,
+ * escaped quotes and CRLF/LF line endings; blank lines are dropped.
+ */
+const parseCsv = (text) => {
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let inQuotes = false;
+	const input = text.replace(/^\uFEFF/, ''); // Excel BOM
+
+	for (let i = 0; i < input.length; i++) {
+		const ch = input[i];
+		if (inQuotes) {
+			if (ch === '"' && input[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (ch === '"') {
+				inQuotes = false;
+			} else {
+				cell += ch;
+			}
+		} else if (ch === '"') {
+			inQuotes = true;
+		} else if (ch === ',') {
+			row.push(cell);
+			cell = '';
+		} else if (ch === '\n' || ch === '\r') {
+			if (ch === '\r' && input[i + 1] === '\n') i++;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += ch;
+		}
+	}
+	if (cell !== '' || row.length > 0) {
+		row.push(cell);
+		rows.push(row);
+	}
+
+	return rows.filter((r) => r.some((c) => c.trim() !== ''));
+};
+
+module.exports = { escapeCell, toCsv, parseCsv };
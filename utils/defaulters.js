@@ -0,0 +1,219 @@
+// utils/defaulters.js
+// Weekly attendance defaulters (per subject, below the policy minimum) and their email notices.
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const RiskPolicy = require('../models/RiskPolicy');
+const DefaulterNotice = require('../models/DefaulterNotice');
+const Timetable = require('../models/Timetable');
+const sendEmail = require('./sendEmail');
+const { attendanceFigures, describeLateRule } = require('./latePolicy');
+const { currentTerm } = require('./calendar');
+
+const MIN_CLASSES = 4; // don't call someone a defaulter after one or two classes
+
+const escapeHtml = (s) =>
+	String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Monday 00:00 of the week containing `date`
+const weekStart = (date = new Date()) => {
+	const d = new Date(date);
+	d.setHours(0, 0, 0, 0);
+	d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+	return d;
+};
+
+/**
+ * Attendance $match for the students' current semester, one clause per class: records
+ * inside the department's current term, or (no term in the calendar) records for the
+ * subjects timetabled for the class.
+ */
+const currentSemesterMatch = async (students) => {
+	const classes = new Map();
+	for (const s of students) {
+		const key = `${s.department}|${s.semester}|${s.section}`;
+		if (!classes.has(key)) classes.set(key, { department: s.department, semester: s.semester, section: s.section?.toUpperCase(), ids: [] });
+		classes.get(key).ids.push(s._id);
+	}
+
+	const terms = new Map();
+	const clauses = [];
+	for (const c of classes.values()) {
+		if (!terms.has(c.department)) terms.set(c.department, await currentTerm(c.department));
+		const term = terms.get(c.department);
+		const clause = { student: { $in: c.ids } };
+		if (term) clause.date = { $gte: term.startDate, $lte: term.endDate };
+		else {
+			const codes = await Timetable.distinct('subjectCode', { department: c.department, semester: c.semester, section: c.section });
+			if (codes.length > 0) clause.subjectCode = { $in: codes };
+		}
+		clauses.push(clause);
+	}
+	return { $or: clauses };
+};
+
+/**
+ * Students with at least one subject below their policy's attendance minimum, counting
+ * only the current semester's attendance (see currentSemesterMatch).
+ * filter: Student query (department / semester / section).
+ * Returns [{ student, threshold, lateRule, subjects: [{ subjectCode, subjectName, attended, total, percentage }] }]
+ */
+const findDefaulters = async (filter) => {
+	const students = await Student.find(filter).select('name rollNo email guardian department program semester section').sort('rollNo').lean();
+	if (students.length === 0) return [];
+
+	const stats = await Attendance.aggregate([
+		{ $match: { $and: [await currentSemesterMatch(students), { subjectCode: { $type: 'string' } }] } },
+		{
+			$group: {
+				_id: { student: '$student', subjectCode: '$subjectCode' },
+				subjectName: { $first: '$subjectName' },
+				total: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 0, 1] } },
+				present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+				late: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+			},
+		},
+		{ $sort: { '_id.subjectCode': 1 } },
+	]);
+	const byStudent = new Map();
+	for (const s of stats) {
+		const key = s._id.student.toString();
+		if (!byStudent.has(key)) byStudent.set(key, []);
+		byStudent.get(key).push(s);
+	}
+
+	const policies = new Map();
+	const policyFor = async (department, program) => {
+		const key = `${department}|${program}`;
+		if (!policies.has(key)) policies.set(key, await RiskPolicy.resolveFor(department, program));
+		return policies.get(key);
+	};
+
+	const defaulters = [];
+	for (const student of students) {
+		const policy = await policyFor(student.department, student.program);
+		const subjects = (byStudent.get(student._id.toString()) || [])
+			.filter((s) => s.total >= MIN_CLASSES)
+			.map((s) => {
+				const { adjusted } = attendanceFigures(s, policy.attendance);
+				return { subjectCode: s._id.subjectCode, subjectName: s.subjectName || s._id.subjectCode, ...adjusted };
+			})
+			.filter((s) => s.percentage < policy.attendance.minimum);
+
+		if (subjects.length > 0) {
+			defaulters.push({ student, threshold: policy.attendance.minimum, lateRule: describeLateRule(policy.attendance), subjects });
+		}
+	}
+	return defaulters;
+};
+
+const renderDefaulterNotice = ({ student, threshold, lateRule, subjects }, { forGuardian = false } = {}) => {
+	const rows = subjects
+		.map(
+			(s) =>
+				`<tr><td style="padding:6px 10px;border:1px solid #ddd;">${escapeHtml(s.subjectCode)} – ${escapeHtml(s.subjectName)}</td>` +
+				`<td style="padding:6px 10px;border:1px solid #ddd;text-align:right;">${s.attended} / ${s.total}</td>` +
+				`<td style="padding:6px 10px;border:1px solid #ddd;text-align:right;color:#c0392b;">${s.percentage}%</td></tr>`
+		)
+		.join('');
+	const greeting = forGuardian ? `Dear Parent/Guardian of ${escapeHtml(student.name)}` : `Dear ${escapeHtml(student.name)}`;
+
+	return {
+		subject: `Attendance shortage notice – ${student.rollNo}`,
+		html: `<div style="font-family: sans-serif; padding: 20px;">
+        <h2>Dropout AI – Attendance Shortage</h2>
+        <p>${greeting},</p>
+        <p>Attendance of ${escapeHtml(student.name)} (Roll No ${escapeHtml(student.rollNo)}, Semester ${student.semester} ${escapeHtml(student.section)}) is below the required ${threshold}% in the following subject(s):</p>
+        <table style="border-collapse: collapse;">
+          <tr><th style="padding:6px 10px;border:1px solid #ddd;">Subject</th><th style="padding:6px 10px;border:1px solid #ddd;">Attended</th><th style="padding:6px 10px;border:1px solid #ddd;">%</th></tr>
+          ${rows}
+        </table>
+        <p style="color:#666;font-size:13px;">${escapeHtml(lateRule)}. Students below the minimum may be detained from the end-semester examination.</p>
+        <p>Please contact the department or the class mentor if there is a reason for these absences.</p>
+      </div>`,
+	};
+};
+
+// Send one email and describe the outcome as a notice recipient
+const deliver = async (type, email, message) => {
+	try {
+		const info = await sendEmail(email, message.subject, message.html);
+		const rejected = (info?.rejected || []).length > 0;
+		return {
+			type,
+			email,
+			status: rejected ? 'bounced' : 'sent',
+			messageId: info?.messageId,
+			error: rejected ? 'Rejected by mail server' : undefined,
+			sentAt: new Date(),
+			bouncedAt: rejected ? new Date() : undefined,
+		};
+	} catch (err) {
+		return { type, email, status: 'failed', error: err.message };
+	}
+};
+
+/**
+ * Find this week's defaulters and email each one (plus guardian, if on file).
+ * Students already noticed this week are skipped. Each notice row is claimed before any
+ * mail goes out, so a concurrent or repeated run cannot email the same student twice.
+ * Options: { filter, sentBy: { id, role }, dryRun }.
+ */
+const sendDefaulterNotices = async ({ filter, sentBy = null, dryRun = false }) => {
+	const weekOf = weekStart();
+	const defaulters = await findDefaulters(filter);
+	const alreadyNoticed = new Set(
+		(await DefaulterNotice.distinct('student', { student: { $in: defaulters.map((d) => d.student._id) }, weekOf })).map((id) => id.toString())
+	);
+
+	const report = { weekOf, defaulters: defaulters.length, alreadyNoticed: 0, noticed: 0, recipients: { sent: 0, failed: 0, bounced: 0 }, dryRun };
+
+	for (const d of defaulters) {
+		if (alreadyNoticed.has(d.student._id.toString())) {
+			report.alreadyNoticed++;
+			continue;
+		}
+		if (dryRun) {
+			report.noticed++;
+			continue;
+		}
+
+		const message = renderDefaulterNotice(d);
+		const claim = await DefaulterNotice.updateOne(
+			{ student: d.student._id, weekOf },
+			{
+				$setOnInsert: {
+					department: d.student.department,
+					semester: d.student.semester,
+					section: d.student.section,
+					threshold: d.threshold,
+					subjects: d.subjects,
+					emailSubject: message.subject,
+					recipients: [],
+					sentBy: sentBy?.id || null,
+					sentByModel: sentBy ? (sentBy.role === 'Admin' ? 'Admin' : 'Teacher') : undefined,
+				},
+			},
+			{ upsert: true }
+		).catch((err) => {
+			if (err.code === 11000) return { upsertedCount: 0 }; // lost the race to another run
+			throw err;
+		});
+		if (claim.upsertedCount === 0) {
+			report.alreadyNoticed++;
+			continue;
+		}
+
+		const recipients = [await deliver('student', d.student.email, message)];
+		if (d.student.guardian?.email) {
+			recipients.push(await deliver('guardian', d.student.guardian.email, renderDefaulterNotice(d, { forGuardian: true })));
+		}
+		recipients.forEach((r) => report.recipients[r.status]++);
+
+		await DefaulterNotice.updateOne({ student: d.student._id, weekOf }, { $set: { recipients } });
+		report.noticed++;
+	}
+
+	return report;
+};
+
+module.exports = { weekStart, findDefaulters, renderDefaulterNotice, sendDefaulterNotices };
@@ -0,0 +1,137 @@
+// utils/earlyWarning.js
+// Pattern-based early warnings from per-day Attendance records. These fire on
+// short-term behaviour (streaks, sudden drops) well before the cumulative
+// attendancePercentage crosses the policy minimum.
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const RiskPolicy = require('../models/RiskPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 60;
+const MIN_RECORDS_PER_WEEK = 3; // avoid flagging a "drop" from one missed class
+const MAX_STORED_WARNINGS = 20;
+
+const attendedPct = (records) => {
+	if (records.length === 0) return null;
+	const attended = records.filter((r) => r.status !== 'absent').length;
+	return Math.round((attended / records.length) * 100);
+};
+
+/**
+ * Detect early-warning patterns. `records` must be sorted newest first.
+ * Returns [{ type, subjectCode, value, message }].
+ */
+const detectEarlyWarnings = (records, config, now = new Date()) => {
+	const warnings = [];
+
+	// 1. Consecutive absences (most recent sessions, any subject)
+	let streak = 0;
+	for (const r of records) {
+		if (r.status !== 'absent') break;
+		streak++;
+	}
+	if (streak >= config.consecutiveAbsences) {
+		warnings.push({
+			type: 'consecutiveAbsences',
+			subjectCode: null,
+			value: streak,
+			message: `Absent for the last ${streak} classes in a row`,
+		});
+	}
+
+	// 2. Week-over-week drop
+	const weekAgo = new Date(now.getTime() - 7 * DAY_MS);
+	const twoWeeksAgo = new Date(now.getTime() - 14 * DAY_MS);
+	const thisWeek = records.filter((r) => r.date >= weekAgo);
+	const lastWeek = records.filter((r) => r.date >= twoWeeksAgo && r.date < weekAgo);
+	if (thisWeek.length >= MIN_RECORDS_PER_WEEK && lastWeek.length >= MIN_RECORDS_PER_WEEK) {
+		const drop = attendedPct(lastWeek) - attendedPct(thisWeek);
+		if (drop > config.weeklyDropPoints) {
+			warnings.push({
+				type: 'weeklyDrop',
+				subjectCode: null,
+				value: drop,
+				message: `Attendance fell ${drop} points week over week (${attendedPct(lastWeek)}% → ${attendedPct(thisWeek)}%)`,
+			});
+		}
+	}
+
+	// 3. Repeated absence in one subject
+	const subjectSince = new Date(now.getTime() - config.subjectWindowDays * DAY_MS);
+	const absencesBySubject = {};
+	for (const r of records) {
+		if (r.date < subjectSince || r.status !== 'absent' || !r.subjectCode) continue;
+		absencesBySubject[r.subjectCode] = (absencesBySubject[r.subjectCode] || 0) + 1;
+	}
+	for (const [subjectCode, count] of Object.entries(absencesBySubject)) {
+		if (count >= config.subjectAbsences) {
+			warnings.push({
+				type: 'subjectAbsences',
+				subjectCode,
+				value: count,
+				message: `Missed ${subjectCode} ${count} times in the last ${config.subjectWindowDays} days`,
+			});
+		}
+	}
+
+	return warnings;
+};
+
+const warningKey = (w) => `${w.type}:${w.subjectCode || ''}`;
+
+// Merge fresh detections into the stored list: keep/refresh ongoing ones, resolve the rest
+const mergeWarnings = (existing, detected, now) => {
+	const detectedMap = new Map(detected.map((w) => [warningKey(w), w]));
+	const merged = [];
+
+	for (const w of existing) {
+		const fresh = w.active ? detectedMap.get(warningKey(w)) : null;
+		if (fresh) {
+			merged.push({ ...w, value: fresh.value, message: fresh.message, lastSeenAt: now });
+			detectedMap.delete(warningKey(w));
+		} else if (w.active) {
+			merged.push({ ...w, active: false, resolvedAt: now });
+		} else {
+			merged.push(w);
+		}
+	}
+
+	for (const w of detectedMap.values()) {
+		merged.push({ ...w, active: true, detectedAt: now, lastSeenAt: now, resolvedAt: null });
+	}
+
+	// Keep every active warning, trim the oldest resolved ones
+	const active = merged.filter((w) => w.active);
+	const resolved = merged.filter((w) => !w.active).slice(-Math.max(0, MAX_STORED_WARNINGS - active.length));
+	return [...resolved, ...active];
+};
+
+/**
+ * Re-run detection for the given students and persist the result.
+ * Returns the number of students that currently have an active warning.
+ */
+const refreshEarlyWarnings = async (studentIds, now = new Date()) => {
+	const since = new Date(now.getTime() - LOOKBACK_DAYS * DAY_MS);
+	const students = await Student.find({ _id: { $in: studentIds } }).select('department program earlyWarnings');
+	let flagged = 0;
+
+	for (const student of students) {
+		const policy = await RiskPolicy.resolveFor(student.department, student.program);
+		const records = await Attendance.find({ student: student._id, date: { $gte: since }, status: { $ne: 'excused' } })
+			.select('date status subjectCode')
+			.sort({ date: -1, createdAt: -1 })
+			.lean();
+
+		const detected = detectEarlyWarnings(records, policy.earlyWarning, now);
+		const existing = (student.earlyWarnings || []).map((w) => w.toObject());
+		const earlyWarnings = mergeWarnings(existing, detected, now);
+
+		// updateOne: warnings are informational and must not trigger a risk recompute/snapshot
+		await Student.updateOne({ _id: student._id }, { $set: { earlyWarnings } });
+		if (earlyWarnings.some((w) => w.active)) flagged++;
+	}
+
+	return flagged;
+};
+
+module.exports = { detectEarlyWarnings, refreshEarlyWarnings };
@@ -0,0 +1,68 @@
+// utils/eligibility.js
+// Subject-wise exam eligibility from attendance counts plus recorded adjustments.
+const { adjustedAttended } = require('./latePolicy');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * stats: { attended, late, absent, excused, total } for one student/subject (attended includes lates,
+ *        excused classes are not in total)
+ * adjustments: EligibilityAdjustment docs that apply to this student/subject (oldest first)
+ * rules: { minimum, condonationLimit } in percentage points, plus the late rule (lateMode, ...)
+ *
+ * attended/percentage apply the late rule; rawAttended/rawPercentage count lates in full.
+ * status: eligible | condoned | detained, possibly replaced by an override decision
+ */
+const evaluateSubject = (stats, adjustments, rules) => {
+	const { attended: rawAttended, late = 0, absent, excused = 0, total } = stats;
+	const attended = adjustedAttended(rawAttended - late, late, rules);
+	const rawPercentage = total > 0 ? round2((rawAttended / total) * 100) : 0;
+	const percentage = total > 0 ? round2((attended / total) * 100) : 0;
+
+	const medicalClasses = adjustments.filter((a) => a.type === 'medical').reduce((sum, a) => sum + a.condonedClasses, 0);
+	const condonedClasses = Math.min(medicalClasses, absent);
+	const adjustedPercentage = total > 0 ? round2(((attended + condonedClasses) / total) * 100) : 0;
+
+	let status;
+	let reason = null;
+	if (total === 0) {
+		status = 'detained';
+		reason = 'No attendance recorded';
+	} else if (percentage >= rules.minimum) {
+		status = 'eligible';
+	} else if (condonedClasses > 0 && adjustedPercentage >= rules.minimum && percentage >= rules.minimum - rules.condonationLimit) {
+		status = 'condoned';
+		reason = `Medical condonation of ${condonedClasses} class(es)`;
+	} else {
+		status = 'detained';
+		reason =
+			percentage < rules.minimum - rules.condonationLimit
+				? `Below ${rules.minimum - rules.condonationLimit}% (beyond condonation limit)`
+				: `Below ${rules.minimum}%`;
+	}
+
+	// Latest override wins
+	const override = adjustments.filter((a) => a.type === 'override').pop();
+	if (override) {
+		status = override.decision;
+		reason = `HOD override: ${override.reason}`;
+	}
+
+	return {
+		rawAttended,
+		rawPercentage,
+		attended,
+		late,
+		absent,
+		excused,
+		total,
+		percentage,
+		condonedClasses,
+		adjustedPercentage,
+		status,
+		overridden: !!override,
+		reason,
+	};
+};
+
+module.exports = { evaluateSubject };
@@ -1,11 +0,0 @@
-// utils/gradePoints.js
-module.exports = {
-  O: 10,
-  'A+': 9,
-  A: 8,
-  'B+': 7,
-  B: 6,
-  C: 5,
-  F: 0,
-  Ab: 0,
-};
@@ -0,0 +1,125 @@
+// utils/grading.js
+// Grading schemes: final marks (0-100) → grade and grade points.
+//
+// A scheme lists its grades best first. Absolute schemes give each passing grade a minimum
+// mark; relative schemes give it a minimum percentile within the class (among students who
+// cleared passMarks). Marks below passMarks always get the scheme's fail grade, and absent
+// students get absentGrade, which carries 0 points.
+
+const DEFAULT_SCHEME = {
+	_id: null,
+	name: 'Default 10-point absolute',
+	method: 'absolute',
+	maxPoints: 10,
+	passMarks: 40,
+	absentGrade: 'Ab',
+	minClassSize: 10,
+	grades: [
+		{ grade: 'O', points: 10, minMarks: 90, passing: true },
+		{ grade: 'A+', points: 9, minMarks: 80, passing: true },
+		{ grade: 'A', points: 8, minMarks: 70, passing: true },
+		{ grade: 'B+', points: 7, minMarks: 60, passing: true },
+		{ grade: 'B', points: 6, minMarks: 50, passing: true },
+		{ grade: 'C', points: 5, minMarks: 40, passing: true },
+		{ grade: 'F', points: 0, minMarks: 0, passing: false },
+	],
+};
+
+const passingGrades = (scheme) => scheme.grades.filter((g) => g.passing);
+const failGrade = (scheme) => scheme.grades.find((g) => !g.passing);
+
+// Every grade a result may carry under the scheme, absent grade included
+const schemeGrades = (scheme) => [...scheme.grades.map((g) => g.grade), scheme.absentGrade];
+
+/**
+ * { grade, gradePoints, maxPoints, passed } for a grade name, or null when the scheme has no such grade.
+ * maxPoints travels with the result so SGPA/CGPA can be put on the 10-point scale.
+ */
+const gradeInfo = (scheme, grade) => {
+	const { maxPoints } = scheme;
+	if (grade === scheme.absentGrade) return { grade, gradePoints: 0, maxPoints, passed: false };
+	const g = scheme.grades.find((x) => x.grade === grade);
+	return g ? { grade, gradePoints: g.points, maxPoints, passed: g.passing } : null;
+};
+
+/**
+ * Absolute grade for one student's marks (null → absent).
+ */
+const gradeForMarks = (marks, scheme = DEFAULT_SCHEME) => {
+	if (marks === null || marks === undefined) return scheme.absentGrade;
+	if (marks < scheme.passMarks) return failGrade(scheme).grade;
+	const band = passingGrades(scheme).find((g) => marks >= g.minMarks);
+	return (band || failGrade(scheme)).grade;
+};
+
+/**
+ * Why an explicit grade cannot go with these marks, or null. Only absolute schemes fix the
+ * grade for given marks; relative grades depend on the class.
+ */
+const gradeMarksProblem = (scheme, grade, marks) => {
+	if (scheme.method === 'relative' || typeof marks !== 'number') return null;
+	const expected = gradeForMarks(marks, scheme);
+	return expected === grade ? null : `Grade ${grade} does not match ${marks} marks (${expected} under ${scheme.name})`;
+};
+
+// Percentile of each passing mark: share of passing students scoring strictly lower
+const curveGrades = (marksList, scheme) => {
+	const passed = marksList.filter((m) => m !== null && m !== undefined && m >= scheme.passMarks).sort((a, b) => a - b);
+	const bands = passingGrades(scheme);
+
+	return marksList.map((marks) => {
+		if (marks === null || marks === undefined) return scheme.absentGrade;
+		if (marks < scheme.passMarks) return failGrade(scheme).grade;
+		const below = passed.findIndex((m) => m >= marks);
+		const percentile = (below / passed.length) * 100;
+		return (bands.find((g) => percentile >= g.minPercentile) || bands[bands.length - 1]).grade;
+	});
+};
+
+/**
+ * Grade a whole class at once. marksList: final marks per student (null → absent), in any order.
+ * Returns { grades } in the same order, or { error } (relative grading on a class that is too small).
+ */
+const gradeClass = (marksList, scheme = DEFAULT_SCHEME) => {
+	if (scheme.method !== 'relative') return { grades: marksList.map((m) => gradeForMarks(m, scheme)) };
+
+	const graded = marksList.filter((m) => m !== null && m !== undefined).length;
+	if (graded < scheme.minClassSize) {
+		return { error: `Relative grading under "${scheme.name}" needs marks for at least ${scheme.minClassSize} students (got ${graded})` };
+	}
+	return { grades: curveGrades(marksList, scheme) };
+};
+
+/**
+ * Problems with a scheme definition (used by the model's validation), [] when it is usable.
+ */
+const schemeProblems = (scheme) => {
+	const problems = [];
+	const grades = scheme.grades || [];
+	const names = grades.map((g) => g.grade);
+	const passing = grades.filter((g) => g.passing);
+
+	if (new Set([...names, scheme.absentGrade]).size !== names.length + 1) problems.push('Grade names (and absentGrade) must be unique');
+	if (passing.length === 0) problems.push('At least one passing grade is required');
+	if (!grades.some((g) => !g.passing)) problems.push('A non-passing (fail) grade is required');
+	if (grades.some((g) => g.points > scheme.maxPoints)) problems.push(`Grade points cannot exceed maxPoints (${scheme.maxPoints})`);
+
+	const key = scheme.method === 'relative' ? 'minPercentile' : 'minMarks';
+	if (passing.some((g) => typeof g[key] !== 'number')) {
+		problems.push(`Every passing grade needs ${key} in a ${scheme.method} scheme`);
+	} else {
+		for (let i = 1; i < passing.length; i++) {
+			if (passing[i][key] >= passing[i - 1][key] || passing[i].points > passing[i - 1].points) {
+				problems.push(`Passing grades must be listed best first with decreasing ${key} and points`);
+				break;
+			}
+		}
+		// Otherwise marks between passMarks and the lowest band would silently get the fail grade
+		if (scheme.method !== 'relative' && passing.length > 0 && passing[passing.length - 1].minMarks !== scheme.passMarks) {
+			problems.push(`The lowest passing grade must start at passMarks (${scheme.passMarks})`);
+		}
+	}
+	return problems;
+};
+
+module.exports = { DEFAULT_SCHEME, schemeGrades, gradeInfo, gradeForMarks, gradeMarksProblem, gradeClass, schemeProblems };
@@ -0,0 +1,51 @@
+// utils/latePolicy.js
+// How `late` marks count towards attendance, per the resolved risk policy:
+//  full       → a late counts as attended (raw figures)
+//  fraction   → each late counts as `lateCredit` of a class (0.5 = "late counts as half")
+//  perAbsence → every `latesPerAbsence` lates turn one attended class into an absence ("3 lates = 1 absence")
+
+const LATE_MODES = ['full', 'fraction', 'perAbsence'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const pct = (attended, total) => (total > 0 ? round2((attended / total) * 100) : 0);
+
+/**
+ * Attended classes after applying the rule. present/late are raw counts.
+ */
+const adjustedAttended = (present, late, rule) => {
+	switch (rule?.lateMode) {
+		case 'fraction':
+			return round2(present + late * rule.lateCredit);
+		case 'perAbsence':
+			return present + late - Math.floor(late / rule.latesPerAbsence);
+		default:
+			return present + late;
+	}
+};
+
+/**
+ * Raw and policy-adjusted figures side by side.
+ * counts: { present, late, total } (total excludes excused); rule: policy.attendance
+ */
+const attendanceFigures = ({ present, late, total }, rule) => {
+	const rawAttended = present + late;
+	const attended = adjustedAttended(present, late, rule);
+	return {
+		raw: { attended: rawAttended, total, percentage: pct(rawAttended, total) },
+		adjusted: { attended, total, percentage: pct(attended, total) },
+		lateDeduction: round2(rawAttended - attended),
+	};
+};
+
+const describeLateRule = (rule) => {
+	switch (rule?.lateMode) {
+		case 'fraction':
+			return `Late counts as ${rule.lateCredit} of a class`;
+		case 'perAbsence':
+			return `${rule.latesPerAbsence} lates = 1 absence`;
+		default:
+			return 'Late counts as attended';
+	}
+};
+
+module.exports = { LATE_MODES, adjustedAttended, attendanceFigures, describeLateRule };
@@ -0,0 +1,96 @@
+// utils/leave.js
+// Approved leave → excused attendance.
+const Student = require('../models/Student');
+const Attendance = require('../models/Attendance');
+const AttendanceAudit = require('../models/AttendanceAudit');
+const LeaveRequest = require('../models/LeaveRequest');
+const { changeIncrements, mergeIncrements } = require('./attendanceCounters');
+
+// Does this leave cover a class on `date` (midnight) for `subjectCode`?
+const leaveCovers = (leave, date, subjectCode) =>
+	leave.fromDate <= date && leave.toDate >= date && (leave.subjectCodes.length === 0 || leave.subjectCodes.includes(subjectCode));
+
+/**
+ * Approved leave for these students overlapping [from, to], grouped by student id.
+ */
+const loadApprovedLeave = async (studentIds, from, to) => {
+	const leaves = await LeaveRequest.find({
+		student: { $in: studentIds },
+		status: 'Approved',
+		fromDate: { $lte: to },
+		toDate: { $gte: from },
+	})
+		.select('student fromDate toDate subjectCodes type')
+		.lean();
+
+	const byStudent = new Map();
+	for (const leave of leaves) {
+		const key = leave.student.toString();
+		if (!byStudent.has(key)) byStudent.set(key, []);
+		byStudent.get(key).push(leave);
+	}
+	return byStudent;
+};
+
+/**
+ * Mark the leave approved and turn the student's absent records inside it into `excused`,
+ * adjusting counters and writing an audit entry per record, all in one transaction.
+ * Absences uploaded later are excused at upload time (utils/attendanceUpload.js).
+ * Returns the number of records converted.
+ */
+const approveLeave = async (leave, actor, note) => {
+	const session = await Student.startSession();
+	session.startTransaction();
+	try {
+		const query = {
+			student: leave.student,
+			date: { $gte: leave.fromDate, $lte: leave.toDate },
+			status: 'absent',
+		};
+		if (leave.subjectCodes.length > 0) query.subjectCode = { $in: leave.subjectCodes };
+		const records = await Attendance.find(query).session(session).lean();
+
+		if (records.length > 0) {
+			await Attendance.updateMany({ _id: { $in: records.map((r) => r._id) } }, { $set: { status: 'excused' } }, { session });
+			await Student.updateOne(
+				{ _id: leave.student },
+				{ $inc: mergeIncrements(...records.map(() => changeIncrements('absent', 'excused'))) },
+				{ session }
+			);
+			await AttendanceAudit.insertMany(
+				records.map((r) => {
+					const before = { date: r.date, status: r.status, subjectCode: r.subjectCode, subjectName: r.subjectName };
+					return {
+						attendance: r._id,
+						student: r.student,
+						action: 'update',
+						before,
+						after: { ...before, status: 'excused' },
+						reason: `Approved ${leave.type} leave`,
+						changedBy: actor.id,
+						changedByModel: actor.role === 'Admin' ? 'Admin' : 'Teacher',
+					};
+				}),
+				{ session }
+			);
+		}
+
+		leave.status = 'Approved';
+		leave.reviewedBy = actor.id;
+		leave.reviewedByModel = actor.role === 'Admin' ? 'Admin' : 'Teacher';
+		leave.reviewedAt = new Date();
+		leave.reviewNote = note;
+		leave.excusedRecords = records.length;
+		await leave.save({ session });
+
+		await session.commitTransaction();
+		return records.length;
+	} catch (err) {
+		await session.abortTransaction();
+		throw err;
+	} finally {
+		session.endSession();
+	}
+};
+
+module.exports = { leaveCovers, loadApprovedLeave, approveLeave };
@@ -0,0 +1,169 @@
+// utils/riskEngine.js
+// Dropout risk scoring. Every factor contributes `weight * severity` points,
+// where severity is a 0..1 value derived from the student's current data.
+// Weights add up to 100, so riskScore is always on a 0-100 scale.
+const { adjustedAttended } = require('./latePolicy');
+
+const DEFAULT_POLICY = {
+	weights: {
+		attendance: 30,
+		cgpa: 20,
+		backlogs: 15,
+		feePending: 10,
+		warnings: 10,
+		sgpaDrop: 10,
+		missedAssignments: 5,
+	},
+	// % below minimum starts scoring, full points at critical; condonationLimit = max points
+	// below minimum that medical leave can make up for exam eligibility.
+	// lateMode: how late marks count (see utils/latePolicy.js)
+	attendance: { minimum: 75, critical: 50, condonationLimit: 10, lateMode: 'full', lateCredit: 0.5, latesPerAbsence: 3 },
+	cgpa: { cutoff: 6, critical: 4 },
+	backlogs: { max: 4 }, // full points at this many current backlogs
+	warnings: { max: 3 },
+	sgpaDrop: { max: 2 }, // full points for a drop of 2 SGPA points between the last two semesters
+	missedAssignments: { max: 5 },
+	levels: { Medium: 30, High: 50, Critical: 70 },
+	// Pattern detection in utils/earlyWarning.js (does not add to the score)
+	earlyWarning: { consecutiveAbsences: 3, weeklyDropPoints: 15, subjectAbsences: 3, subjectWindowDays: 14 },
+	manualFlagLevel: 'High',
+};
+
+const LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Linear severity between `start` (0) and `end` (1); works for both rising and falling scales
+const linear = (value, start, end) => (start === end ? (value === start ? 1 : 0) : clamp01((value - start) / (end - start)));
+
+// Without a policy (or with lateMode 'full') this is the raw percentage
+const getAttendancePercentage = (student, policy) => {
+	if (!student.totalClasses) return null;
+	const late = student.lateCount || 0;
+	const attended = adjustedAttended(student.attendedClasses - late, late, policy?.attendance);
+	return round2((attended / student.totalClasses) * 100);
+};
+
+// Difference between the previous and the latest semester SGPA (positive = decline)
+const getSgpaDrop = (student) => {
+	const sems = (student.academics || []).filter((a) => typeof a.sgpa === 'number').sort((a, b) => a.semester - b.semester);
+	if (sems.length < 2) return null;
+	return round2(sems[sems.length - 2].sgpa - sems[sems.length - 1].sgpa);
+};
+
+const buildFactors = (student, policy) => {
+	const w = policy.weights;
+	const attendance = getAttendancePercentage(student, policy);
+	const hasAcademics = (student.academics || []).length > 0;
+	const sgpaDrop = getSgpaDrop(student);
+	const warningCount = (student.warnings || []).length;
+	const missed = student.missedAssignments || 0;
+
+	return [
+		{
+			key: 'attendance',
+			label: 'Attendance',
+			weight: w.attendance,
+			value: attendance,
+			severity: attendance === null ? 0 : linear(attendance, policy.attendance.minimum, policy.attendance.critical),
+			thresholds: { startsBelow: policy.attendance.minimum, fullAt: policy.attendance.critical },
+		},
+		{
+			key: 'cgpa',
+			label: 'CGPA',
+			weight: w.cgpa,
+			value: hasAcademics ? student.cgpa : null,
+			severity: hasAcademics ? linear(student.cgpa, policy.cgpa.cutoff, policy.cgpa.critical) : 0,
+			thresholds: { startsBelow: policy.cgpa.cutoff, fullAt: policy.cgpa.critical },
+		},
+		{
+			key: 'backlogs',
+			label: 'Current backlogs',
+			weight: w.backlogs,
+			value: student.currentBacklogs || 0,
+			severity: linear(student.currentBacklogs || 0, 0, policy.backlogs.max),
+			thresholds: { startsAbove: 0, fullAt: policy.backlogs.max },
+		},
+		{
+			key: 'feePending',
+			label: 'Fee pending',
+			weight: w.feePending,
+			value: !!student.feePending,
+			severity: student.feePending ? 1 : 0,
+			thresholds: { fullAt: true },
+		},
+		{
+			key: 'warnings',
+			label: 'Warnings',
+			weight: w.warnings,
+			value: warningCount,
+			severity: linear(warningCount, 0, policy.warnings.max),
+			thresholds: { startsAbove: 0, fullAt: policy.warnings.max },
+		},
+		{
+			key: 'sgpaDrop',
+			label: 'SGPA drop',
+			weight: w.sgpaDrop,
+			value: sgpaDrop,
+			severity: sgpaDrop === null ? 0 : linear(sgpaDrop, 0, policy.sgpaDrop.max),
+			thresholds: { startsAbove: 0, fullAt: policy.sgpaDrop.max },
+		},
+		{
+			key: 'missedAssignments',
+			label: 'Missed assignments',
+			weight: w.missedAssignments,
+			value: missed,
+			severity: linear(missed, 0, policy.missedAssignments.max),
+			thresholds: { startsAbove: 0, fullAt: policy.missedAssignments.max },
+		},
+	].map((f) => ({ ...f, severity: round2(f.severity), points: round2(f.weight * f.severity) }));
+};
+
+const levelForScore = (score, levels) => {
+	if (score >= levels.Critical) return 'Critical';
+	if (score >= levels.High) return 'High';
+	if (score >= levels.Medium) return 'Medium';
+	return 'Low';
+};
+
+/**
+ * Compute risk for a student document (or plain object).
+ * Returns { score, level, isAtRisk, attendancePercentage, rawAttendancePercentage, factors, trigger }.
+ * attendancePercentage applies the policy's late rule; rawAttendancePercentage counts lates in full.
+ */
+const computeRisk = (student, policy = DEFAULT_POLICY) => {
+	const factors = buildFactors(student, policy);
+	const score = Math.min(100, Math.round(factors.reduce((sum, f) => sum + f.points, 0)));
+
+	const scoreLevel = levelForScore(score, policy.levels);
+	let level = scoreLevel;
+	// A teacher's manual flag can raise the level but never lower it
+	const raisedByManualFlag = !!student.riskFlaggedManually && LEVELS.indexOf(level) < LEVELS.indexOf(policy.manualFlagLevel);
+	if (raisedByManualFlag) level = policy.manualFlagLevel;
+
+	return {
+		score,
+		level,
+		isAtRisk: level === 'High' || level === 'Critical',
+		attendancePercentage: getAttendancePercentage(student, policy),
+		rawAttendancePercentage: getAttendancePercentage(student),
+		factors,
+		trigger: {
+			levelThresholds: policy.levels,
+			scoreLevel,
+			// Minimum score of the level reached by score alone (null for Low)
+			crossedThreshold: policy.levels[scoreLevel] ?? null,
+			raisedByManualFlag,
+		},
+	};
+};
+
+module.exports = {
+	DEFAULT_POLICY,
+	LEVELS,
+	computeRisk,
+	levelForScore,
+	getAttendancePercentage,
+	getSgpaDrop,
+};
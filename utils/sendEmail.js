@@ -9,7 +9,8 @@ const sendEmail = async (to, subject, html) => {
 		},
 	});
 
-	await transporter.sendMail({
+	// Resolves with nodemailer's info ({ messageId, accepted, rejected }) for callers that track delivery
+	return transporter.sendMail({
 		from: `"Dropout AI" <${process.env.EMAIL_USER}>`,
 		to,
 		subject,
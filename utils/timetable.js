@@ -0,0 +1,25 @@
+// utils/timetable.js
+const Substitution = require('../models/Substitution');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const dayNameOf = (date) => DAY_NAMES[date.getDay()];
+
+// The scheduled teacher marks their own slot; HODs may mark any slot in their department;
+// a substitute may mark the slot on the date they cover (pass that date's Substitution, if any)
+const canMarkSlot = (slot, actor, substitution = null) =>
+	(actor.role === 'HOD' && !!slot.department && slot.department === actor.department) ||
+	slot.teacher.toString() === actor.id.toString() ||
+	(!!substitution && substitution.substitute.toString() === actor.id.toString());
+
+const substitutionKey = (slotId, date) => `${slotId}|${date.getTime()}`;
+
+/**
+ * Substitutions for these slots between two dates (midnight), keyed by substitutionKey(slot, date).
+ */
+const loadSubstitutions = async (slotIds, from, to) => {
+	const subs = await Substitution.find({ timetable: { $in: slotIds }, date: { $gte: from, $lte: to } }).lean();
+	return new Map(subs.map((s) => [substitutionKey(s.timetable, s.date), s]));
+};
+
+module.exports = { DAY_NAMES, dayNameOf, canMarkSlot, substitutionKey, loadSubstitutions };